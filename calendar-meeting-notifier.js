@@ -8,22 +8,25 @@
  * - Runs every minute for precise timing
  * - Notifies only when meetings are actually starting (1min early to 15sec late window)
  * - Sends only ONE notification per meeting (prevents duplicate alerts)
- * - Posts to specific SIG channels + #community (except Community Meeting which only goes to #community)
+ * - Posts to the channels listed in each meeting's notification targets (e.g. the SIG channel + #community)
  * - Includes Google Meet links in visually appealing format
- * - Automatic cleanup of old notification records
+ * - Automatic pruning of expired notification records
  * - Debug mode for testing message formatting
+ * - iCalendar feed of the configured meetings when deployed as a web app (doGet, ?sig= filter)
+ * - Agenda docs created from a template and attached to upcoming occurrences that have none
  * 
  * Timing Logic:
  * - Searches for meetings starting within 1 minute early to 15 seconds late of current time
  * - Prevents early notifications while accounting for trigger timing variations
  * - Notifications sent AT meeting start time, with minimal early notification window
+ * - Occurrences are read from the calendar sync cache (calendar-sync.js), which only fetches
+ *   the calendar changes since the last run
  * 
  * Storage Management:
- * - Uses PropertiesService to track which meetings have been notified
- * - Smart cleanup strategy adapts to current storage usage
- * - Daily end-of-day cleanup (11:30 PM) removes records older than 6 hours
- * - Emergency cleanup prevents hitting 50-property limit
- * - Storage monitoring and health alerts
+ * - Sent notifications are recorded in the notification ledger (notification-ledger.js)
+ * - Records expire NOTIFICATION_RETENTION_DAYS after the meeting and are pruned hourly and
+ *   by the daily cleanup (11:30 PM)
+ * - Storage monitoring reports ledger size against the script property quota
  * - Prevents duplicate notifications when script runs every minute
  * 
  * Setup Instructions: See CALENDAR_MEETING_NOTIFIER.md
@@ -31,6 +34,8 @@
 
 // Load configuration - create config.js based on config.example.js
 // This will be loaded automatically when the script runs
+// Meeting title matching lives in meeting-matcher.js, Slack posting in slack-client.js and
+// message wording in message-templates.js, all shared with the file organizer
 
 /**
  * Main function to check calendar and send notifications
@@ -40,11 +45,10 @@ function checkCalendarAndNotify() {
   try {
     console.log('🕐 Starting calendar check at:', new Date().toISOString());
     
-    // Clean up old notification records periodically (every 10 minutes)
-    const currentMinute = new Date().getMinutes();
-    if (currentMinute % 10 === 0) {
-      console.log('🧹 Running cleanup of old notification records...');
-      cleanupOldNotificationRecords();
+    // Drop expired notification records once an hour (the daily cleanup trigger does the same)
+    if (new Date().getMinutes() === 0) {
+      const prunedCount = NotificationLedger.prune();
+      console.log(`🧹 Pruned ${prunedCount} expired notification record(s)`);
     }
     
     // Configuration should be loaded from config.js in this script
@@ -54,14 +58,36 @@ function checkCalendarAndNotify() {
     
     if (meetingsStartingNow.length === 0) {
       console.log('📅 No meetings starting now');
-      return;
+    } else {
+      console.log(`📅 Found ${meetingsStartingNow.length} meeting(s) starting NOW`);
+      
+      // Process each meeting
+      for (const meeting of meetingsStartingNow) {
+        processMeeting(meeting, CONFIG);
+      }
     }
     
-    console.log(`📅 Found ${meetingsStartingNow.length} meeting(s) starting NOW`);
+    // Send any pre-meeting reminders that are due
+    const dueReminders = getDueReminders();
+    for (const reminder of dueReminders) {
+      processMeeting(reminder, CONFIG);
+    }
     
-    // Process each meeting
-    for (const meeting of meetingsStartingNow) {
-      processMeeting(meeting, CONFIG);
+    // Look ahead for cancelled and rescheduled occurrences (from the calendar sync cache)
+    const now = new Date();
+    const upcomingOccurrences = getSyncedOccurrences(now, getScheduleLookaheadEnd(now), true);
+    
+    // Announce cancelled occurrences ahead of their original start time
+    const cancellations = getUpcomingCancellations(upcomingOccurrences);
+    for (const cancellation of cancellations) {
+      processMeeting(cancellation, CONFIG);
+    }
+    
+    // Announce occurrences that moved since the last run and fix up reminders already posted
+    const rescheduledMeetings = getRescheduledMeetings(upcomingOccurrences);
+    for (const rescheduled of rescheduledMeetings) {
+      processMeeting(rescheduled, CONFIG);
+      updatePostedReminders(rescheduled);
     }
     
   } catch (error) {
@@ -72,6 +98,7 @@ function checkCalendarAndNotify() {
 
 /**
  * Get meetings starting RIGHT NOW (within tighter 1min early to 15sec late window)
+ * Occurrences come from the calendar sync cache (see calendar-sync.js)
  */
 function getUpcomingMeetings() {
   try {
@@ -84,24 +111,17 @@ function getUpcomingMeetings() {
     console.log(`🕐 Current time: ${now.toLocaleTimeString()}`);
     console.log(`📅 Search window: ${searchStart.toLocaleTimeString()} - ${searchEnd.toLocaleTimeString()}`);
     
-    // Get the calendar by ID (configured in CONFIG)
-    const calendar = CalendarApp.getCalendarById(CONFIG.CALENDAR_ID);
-    
-    if (!calendar) {
-      throw new Error(`Calendar not found with ID: ${CONFIG.CALENDAR_ID}`);
-    }
-    
-    // Get events in the search window
-    const events = calendar.getEvents(searchStart, searchEnd);
+    // Get occurrences in the search window
+    const occurrences = getSyncedOccurrences(searchStart, searchEnd, false);
     
     const meetingsStartingNow = [];
     
-    for (const event of events) {
-      const title = event.getTitle();
-      const startTime = event.getStartTime();
+    for (const occurrence of occurrences) {
+      const title = occurrence.summary || '';
+      const startTime = new Date(occurrence.start.dateTime);
       
-      // Skip meetings with "Canceled" in the title (case-insensitive)
-      if (title.toLowerCase().includes('canceled')) {
+      // Skip meetings with "Canceled" or "Cancelled" in the title (case-insensitive)
+      if (isCancelledTitle(title)) {
         console.log(`⏭️ Skipping canceled meeting: "${title}"`);
         continue;
       }
@@ -123,23 +143,23 @@ function getUpcomingMeetings() {
         const matchedConfig = findMatchingMeetingConfig(title);
         
         if (matchedConfig) {
-          // EARLY CACHE CHECK: Skip expensive processing if already notified
-          if (hasAlreadyNotifiedEvent(event)) {
+          // EARLY CACHE CHECK: Skip document lookups if already notified
+          // (keyed by iCalUID, which is what CalendarApp reports as the event ID)
+          const meeting = { eventId: occurrence.iCalUID, title: title, startTime: startTime };
+          if (hasAlreadyNotified(meeting)) {
             console.log(`⏭️ Skipping - already notified for "${title}"`);
             continue;
           }
           
-          // Only do expensive meeting details extraction if we haven't notified yet
-          const meetingDetails = extractMeetingDetails(event);
+          // Only look up document names if we haven't notified yet
+          const meetingDetails = getOccurrenceMeetingDetails(occurrence);
           
           meetingsStartingNow.push({
-            title: title,
-            startTime: startTime,
+            ...meeting,
             meetLink: meetingDetails.meetLink,
             documents: meetingDetails.documents,
             hasDocuments: meetingDetails.hasDocuments,
-            config: matchedConfig,
-            event: event
+            config: matchedConfig
           });
           
           console.log(`📋 Added to notification queue: ${title}`);
@@ -165,6 +185,433 @@ function getUpcomingMeetings() {
   }
 }
 
+/**
+ * Get the reminders configured for a meeting, including its call for topics
+ * Each reminder is { offsetMinutes, template, key, event } - key defaults to the offset and event is
+ * 'reminder', or 'topics' for the call for topics, which also has a noAgendaTemplate
+ */
+function getMeetingReminders(meetingConfig) {
+  const reminders = (meetingConfig.reminders || CONFIG.DEFAULT_REMINDERS || [])
+    .filter(reminder => reminder.offsetMinutes > 0)
+    .map(reminder => ({
+      offsetMinutes: reminder.offsetMinutes,
+      template: reminder.template || 'meetingReminder',
+      key: reminder.key || `${reminder.offsetMinutes}m`,
+      event: 'reminder'
+    }));
+  
+  const callForTopics = meetingConfig.callForTopics !== undefined ? meetingConfig.callForTopics : CONFIG.DEFAULT_CALL_FOR_TOPICS;
+  if (callForTopics && callForTopics.offsetMinutes > 0) {
+    reminders.push({
+      offsetMinutes: callForTopics.offsetMinutes,
+      template: callForTopics.template || 'callForTopics',
+      noAgendaTemplate: callForTopics.noAgendaTemplate || 'callForTopicsNoAgenda',
+      key: callForTopics.key || 'topics',
+      event: 'topics'
+    });
+  }
+  
+  return reminders;
+}
+
+/**
+ * Get the longest reminder offset of any meeting in minutes (0 without reminders)
+ */
+function getLongestReminderOffsetMinutes() {
+  const reminderOffsets = Object.entries(CONFIG.MEETING_CONFIGS)
+    .map(([prefix, config]) => getMeetingReminders({ prefix, ...config }))
+    .concat([getMeetingReminders({})])
+    .flat()
+    .map(reminder => reminder.offsetMinutes);
+  
+  return reminderOffsets.length > 0 ? Math.max(...reminderOffsets) : 0;
+}
+
+/**
+ * Get reminders that are due RIGHT NOW, using the same 1min early to 15sec late window
+ * as start notifications, shifted back by each reminder's offset
+ */
+function getDueReminders() {
+  const maxOffsetMinutes = getLongestReminderOffsetMinutes();
+  if (maxOffsetMinutes === 0) {
+    return [];
+  }
+  
+  const now = new Date();
+  const maxOffsetMillis = maxOffsetMinutes * 60 * 1000;
+  
+  // One search covers every offset: from now until the furthest reminder's meetings
+  const occurrences = getSyncedOccurrences(new Date(now.getTime() - (90 * 1000)), new Date(now.getTime() + maxOffsetMillis + (3 * 60 * 1000)), false);
+  const dueReminders = [];
+  
+  for (const occurrence of occurrences) {
+    const title = occurrence.summary || '';
+    if (isCancelledTitle(title)) {
+      continue;
+    }
+    
+    const matchedConfig = findMatchingMeetingConfig(title);
+    if (!matchedConfig) {
+      continue;
+    }
+    
+    const startTime = new Date(occurrence.start.dateTime);
+    for (const reminder of getMeetingReminders(matchedConfig)) {
+      const reminderTime = startTime.getTime() - reminder.offsetMinutes * 60 * 1000;
+      const secondsUntilReminder = Math.floor((reminderTime - now.getTime()) / 1000);
+      if (secondsUntilReminder < -60 || secondsUntilReminder > 15) {
+        continue;
+      }
+      
+      const dueReminder = { eventId: occurrence.iCalUID, title: title, startTime: startTime, reminder: reminder };
+      if (hasAlreadyNotified(dueReminder)) {
+        console.log(`⏭️ Skipping - ${reminder.key} reminder already sent for "${title}"`);
+        continue;
+      }
+      
+      const meetingDetails = getOccurrenceMeetingDetails(occurrence);
+      dueReminders.push({
+        ...dueReminder,
+        meetLink: meetingDetails.meetLink,
+        documents: meetingDetails.documents,
+        hasDocuments: meetingDetails.hasDocuments,
+        config: matchedConfig
+      });
+      console.log(`⏰ ${reminder.key} reminder due for "${title}" (starts ${startTime.toLocaleString()})`);
+    }
+  }
+  
+  return dueReminders;
+}
+
+// Titles like "Canceled - ...", "... (Cancelled)" mark a cancelled occurrence
+const CANCELLED_TITLE_PATTERN = /cancel+ed/i;
+
+/**
+ * Check whether an event title marks the meeting as cancelled
+ */
+function isCancelledTitle(title) {
+  return CANCELLED_TITLE_PATTERN.test(title || '');
+}
+
+/**
+ * Remove the "Canceled" marker from a title so it can be matched against meeting configs
+ * e.g. "Canceled - [PUBLIC] llm-d sig-autoscaling" -> "[PUBLIC] llm-d sig-autoscaling"
+ */
+function stripCancelledMarker(title) {
+  return title
+    .replace(/[\[(]?\bcancel+ed\b[\])]?/gi, '')
+    .replace(/^[\s\-:–|]+|[\s\-:–|]+$/g, '')
+    .replace(/\s{2,}/g, ' ');
+}
+
+/**
+ * List event occurrences in a time range with the advanced Calendar API
+ * Recurring events are expanded into single occurrences; showDeleted includes cancelled ones
+ */
+function listCalendarOccurrences(timeMin, timeMax, showDeleted) {
+  const occurrences = [];
+  let pageToken;
+  
+  do {
+    const response = Calendar.Events.list(CONFIG.CALENDAR_ID, {
+      timeMin: timeMin.toISOString(),
+      timeMax: timeMax.toISOString(),
+      singleEvents: true,
+      showDeleted: Boolean(showDeleted),
+      maxResults: 250,
+      pageToken: pageToken
+    });
+    occurrences.push(...(response.items || []));
+    pageToken = response.nextPageToken;
+  } while (pageToken);
+  
+  return occurrences;
+}
+
+/**
+ * Get the end of the window scanned for cancelled and rescheduled occurrences
+ */
+function getScheduleLookaheadEnd(now) {
+  const lookaheadHours = CONFIG.CANCELLATION_LOOKAHEAD_HOURS || 72;
+  return new Date(now.getTime() + lookaheadHours * 60 * 60 * 1000);
+}
+
+/**
+ * Find cancelled occurrences of configured meetings that start within the lookahead window
+ * Detects occurrences whose status is "cancelled" (deleted instances and exceptions of
+ * recurring events) and occurrences renamed to "Canceled"/"Cancelled"
+ */
+function getUpcomingCancellations(occurrences) {
+  const now = new Date();
+  const windowEnd = getScheduleLookaheadEnd(now);
+  const cancellations = [];
+  
+  for (const occurrence of occurrences) {
+    const isCancelledStatus = occurrence.status === 'cancelled';
+    if (!isCancelledStatus && !isCancelledTitle(occurrence.summary)) {
+      continue;
+    }
+    
+    // Cancelled exceptions keep only their original start time
+    const startValue = (occurrence.originalStartTime && occurrence.originalStartTime.dateTime) ||
+      (occurrence.start && occurrence.start.dateTime);
+    if (!startValue) {
+      continue;
+    }
+    const startTime = new Date(startValue);
+    if (startTime <= now || startTime > windowEnd) {
+      continue;
+    }
+    
+    const cancellation = { eventId: occurrence.id, startTime: startTime, cancelled: true };
+    if (hasAlreadyNotified(cancellation)) {
+      continue;
+    }
+    
+    // Deleted occurrences of a recurring event often carry no title; calendar-sync stores the series title
+    const title = occurrence.summary || occurrence.seriesTitle;
+    if (!title) {
+      continue;
+    }
+    
+    const matchedConfig = findMatchingMeetingConfig(stripCancelledMarker(title));
+    if (!matchedConfig) {
+      continue;
+    }
+    
+    console.log(`🚫 Found cancelled occurrence of "${title}" on ${startTime.toLocaleString()} (${isCancelledStatus ? 'status cancelled' : 'title'})`);
+    cancellations.push({
+      ...cancellation,
+      title: stripCancelledMarker(title),
+      meetLink: null,
+      documents: [],
+      hasDocuments: false,
+      config: matchedConfig
+    });
+  }
+  
+  return cancellations;
+}
+
+// Upcoming occurrences of configured meetings seen on the last run, to spot reschedules
+const SCHEDULE_SNAPSHOT_PROPERTY = 'calendar_schedule_snapshot';
+
+/**
+ * Extract the Meet link and attached documents from a Calendar API occurrence
+ * Falls back to links in the description (and location) like extractMeetingDetails
+ */
+function getOccurrenceMeetingDetails(occurrence) {
+  const description = `${occurrence.description || ''}\n${occurrence.location || ''}`;
+  let meetLink = occurrence.hangoutLink || null;
+  if (!meetLink && occurrence.conferenceData && occurrence.conferenceData.entryPoints) {
+    const meetEntry = occurrence.conferenceData.entryPoints.find(ep => ep.entryPointType === 'video' && ep.uri);
+    meetLink = meetEntry ? meetEntry.uri : null;
+  }
+  if (!meetLink) {
+    const meetMatch = description.match(/https:\/\/meet\.google\.com\/[a-z-]+/);
+    meetLink = meetMatch ? meetMatch[0] : null;
+  }
+  
+  let attachments = (occurrence.attachments || []).filter(attachment => attachment.fileUrl);
+  if (attachments.length === 0) {
+    const descriptionLinks = description.match(/https:\/\/(?:docs|drive)\.google\.com\/[^\s\)\>\"]+/g) || [];
+    attachments = [...new Set(descriptionLinks)].map(url => {
+      const fileId = extractFileIdFromUrl(url);
+      return { fileUrl: url, title: fileId ? getFileNameFromDrive(fileId) : null };
+    });
+  }
+  
+  const documents = attachments.map(attachment => {
+    let fileType = '📁';
+    if (attachment.fileUrl.includes('/document/')) {
+      fileType = '📄';
+    } else if (attachment.fileUrl.includes('/spreadsheets/')) {
+      fileType = '📊';
+    } else if (attachment.fileUrl.includes('/presentation/')) {
+      fileType = '📑';
+    }
+    return {
+      url: attachment.fileUrl,
+      fileName: attachment.title || null,
+      fileType: fileType,
+      displayName: attachment.title || 'Google Drive File'
+    };
+  });
+  
+  return {
+    meetLink,
+    documents,
+    hasDocuments: documents.length > 0
+  };
+}
+
+/**
+ * Compare upcoming occurrences of configured meetings with the snapshot from the last run
+ * Returns one rescheduled meeting per occurrence whose start time changed; occurrences that
+ * moved beyond the lookahead window are looked up individually
+ */
+function getRescheduledMeetings(occurrences) {
+  const now = new Date();
+  const properties = PropertiesService.getScriptProperties();
+  const storedSnapshot = properties.getProperty(SCHEDULE_SNAPSHOT_PROPERTY);
+  const previousSnapshot = storedSnapshot ? JSON.parse(storedSnapshot) : null;
+  const snapshot = {};
+  const current = {};
+  const listedIds = new Set(occurrences.map(occurrence => occurrence.id));
+  
+  for (const occurrence of occurrences) {
+    if (occurrence.status === 'cancelled' || isCancelledTitle(occurrence.summary) || !occurrence.start || !occurrence.start.dateTime) {
+      continue;
+    }
+    const matchedConfig = findMatchingMeetingConfig(occurrence.summary || '');
+    if (!matchedConfig) {
+      continue;
+    }
+    
+    snapshot[occurrence.id] = {
+      start: new Date(occurrence.start.dateTime).toISOString(),
+      title: occurrence.summary,
+      iCalUID: occurrence.iCalUID || null
+    };
+    current[occurrence.id] = { occurrence, config: matchedConfig };
+  }
+  
+  const rescheduledMeetings = [];
+  
+  // The first run only takes the snapshot
+  for (const [occurrenceId, before] of Object.entries(previousSnapshot || {})) {
+    const previousStartTime = new Date(before.start);
+    if (previousStartTime <= now) {
+      continue;
+    }
+    
+    let after = current[occurrenceId];
+    if (!after && !listedIds.has(occurrenceId)) {
+      after = getMovedOccurrence(occurrenceId);
+    }
+    if (!after) {
+      continue;
+    }
+    
+    const startTime = new Date(after.occurrence.start.dateTime);
+    if (startTime.getTime() === previousStartTime.getTime() || startTime <= now) {
+      continue;
+    }
+    
+    console.log(`📆 "${after.occurrence.summary}" moved from ${previousStartTime.toLocaleString()} to ${startTime.toLocaleString()}`);
+    rescheduledMeetings.push({
+      eventId: occurrenceId,
+      iCalUID: after.occurrence.iCalUID || before.iCalUID,
+      title: after.occurrence.summary,
+      startTime: startTime,
+      previousStartTime: previousStartTime,
+      rescheduled: true,
+      ...getOccurrenceMeetingDetails(after.occurrence),
+      config: after.config
+    });
+  }
+  
+  const serializedSnapshot = JSON.stringify(snapshot);
+  if (serializedSnapshot !== storedSnapshot) {
+    properties.setProperty(SCHEDULE_SNAPSHOT_PROPERTY, serializedSnapshot);
+  }
+  
+  return rescheduledMeetings;
+}
+
+/**
+ * Look up an occurrence that left the lookahead window
+ * Returns { occurrence, config } when it still exists as a configured meeting, else null
+ */
+function getMovedOccurrence(occurrenceId) {
+  try {
+    const occurrence = Calendar.Events.get(CONFIG.CALENDAR_ID, occurrenceId);
+    if (occurrence.status === 'cancelled' || isCancelledTitle(occurrence.summary) || !occurrence.start || !occurrence.start.dateTime) {
+      return null;
+    }
+    const matchedConfig = findMatchingMeetingConfig(occurrence.summary || '');
+    return matchedConfig ? { occurrence, config: matchedConfig } : null;
+  } catch (error) {
+    console.log(`ℹ️ Could not load occurrence ${occurrenceId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Edit reminders that were already posted for the old time of a rescheduled meeting
+ * Only messages posted with the bot transport can be edited; the notification record moves to the
+ * new start time so the reminder is not posted a second time
+ */
+function updatePostedReminders(rescheduled) {
+  if (!rescheduled.iCalUID || CONFIG.DEBUG_MODE) {
+    return;
+  }
+  
+  for (const reminder of getMeetingReminders(rescheduled.config)) {
+    const previousReminder = {
+      eventId: rescheduled.iCalUID,
+      startTime: rescheduled.previousStartTime,
+      reminder: reminder
+    };
+    const previousKey = getMeetingNotificationKey(previousReminder);
+    const record = NotificationLedger.wasSent(previousKey);
+    if (!record) {
+      continue;
+    }
+    
+    const postedMessages = record.messages || [];
+    if (postedMessages.length === 0) {
+      console.log(`ℹ️ ${reminder.key} reminder for "${rescheduled.title}" was posted by webhook and can't be edited - it will be sent again for the new time`);
+      continue;
+    }
+    
+    const meeting = {
+      eventId: rescheduled.iCalUID,
+      title: rescheduled.title,
+      startTime: rescheduled.startTime,
+      meetLink: rescheduled.meetLink,
+      documents: rescheduled.documents,
+      hasDocuments: rescheduled.hasDocuments,
+      config: rescheduled.config,
+      reminder: reminder
+    };
+    const rescheduledNote = `:calendar: Updated: moved from ${formatSlackDate(rescheduled.previousStartTime)} to ${formatSlackDate(rescheduled.startTime)}`;
+    
+    postedMessages.forEach(posted => {
+      try {
+        const message = renderMessageTemplate(posted.template, rescheduled.config, getMeetingMessageValues(meeting, posted.targetName));
+        message.blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: rescheduledNote }] });
+        updateSlackMessage(posted.channel, posted.ts, message);
+        console.log(`✏️ Updated ${reminder.key} reminder in ${posted.targetName || posted.channel} for the new time`);
+      } catch (error) {
+        console.error(`❌ Failed to update ${reminder.key} reminder in ${posted.targetName || posted.channel}:`, error);
+      }
+    });
+    
+    // Carry the record over so the reminder isn't posted again at the new time
+    NotificationLedger.markSent(getMeetingNotificationKey(meeting), {
+      ...record,
+      meetingStart: rescheduled.startTime.toISOString()
+    });
+    NotificationLedger.forget(previousKey);
+  }
+}
+
+/**
+ * Describe a reminder offset for messages, e.g. "10 minutes", "24 hours", "2 days"
+ */
+function formatReminderOffset(offsetMinutes) {
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+  if (offsetMinutes % (24 * 60) === 0 && offsetMinutes > 24 * 60) {
+    return plural(offsetMinutes / (24 * 60), 'day');
+  }
+  if (offsetMinutes % 60 === 0) {
+    return plural(offsetMinutes / 60, 'hour');
+  }
+  return plural(offsetMinutes, 'minute');
+}
+
 /**
  * Extract file ID from Google Drive URL
  */
@@ -371,51 +818,62 @@ function extractMeetingDetails(event) {
 }
 
 /**
- * Find matching meeting configuration based on title prefix
+ * Find matching meeting configuration for an event title
+ * Matching rules are shared with the file organizer (see meeting-matcher.js)
  */
 function findMatchingMeetingConfig(title) {
-  for (const [prefix, config] of Object.entries(CONFIG.MEETING_CONFIGS)) {
-    if (title.startsWith(prefix)) {
-      return {
-        prefix: prefix,
-        ...config
-      };
-    }
+  const match = matchMeetingTitle(title);
+  if (!match) {
+    return null;
   }
-  return null;
+  return {
+    prefix: match.prefix,
+    ...match.config
+  };
 }
 
 /**
  * Get unique identifier for a meeting event to track notifications
+ * Reminders and cancellations get their own keys; the start notification keeps the plain key
  */
 function getMeetingNotificationKey(meeting) {
   // Use event ID combined with start time to create unique key
-  const eventId = meeting.event.getId();
+  // (start and reminder notices carry the iCalUID, cancellations the occurrence ID; test meetings an event)
+  const eventId = meeting.eventId || meeting.event.getId();
   const startTimeKey = meeting.startTime.toISOString();
-  return `notified_${eventId}_${startTimeKey}`;
+  let suffix = '';
+  if (meeting.cancelled) {
+    suffix = '_cancelled';
+  } else if (meeting.rescheduled) {
+    suffix = '_rescheduled';
+  } else if (meeting.reminder) {
+    suffix = `_reminder_${meeting.reminder.key}`;
+  }
+  return `notified_${eventId}_${startTimeKey}${suffix}`;
 }
 
 /**
- * Get unique identifier for a meeting using basic event info (for early cache check)
+ * Get the kind of notification a meeting object stands for:
+ * 'start', 'reminder', 'topics' (call for topics), 'cancellation' or 'reschedule'
  */
-function getMeetingNotificationKeyFromEvent(event) {
-  // Use event ID combined with start time to create unique key
-  const eventId = event.getId();
-  const startTimeKey = event.getStartTime().toISOString();
-  return `notified_${eventId}_${startTimeKey}`;
+function getMeetingNotificationEvent(meeting) {
+  if (meeting.cancelled) {
+    return 'cancellation';
+  }
+  if (meeting.rescheduled) {
+    return 'reschedule';
+  }
+  return meeting.reminder ? meeting.reminder.event : 'start';
 }
 
 /**
- * Check if we have already sent notifications for this event (early check without full processing)
+ * Check if we have already sent notifications for this meeting
  */
-function hasAlreadyNotifiedEvent(event) {
-  const key = getMeetingNotificationKeyFromEvent(event);
-  const properties = PropertiesService.getScriptProperties();
-  const notificationRecord = properties.getProperty(key);
+function hasAlreadyNotified(meeting) {
+  const recordData = NotificationLedger.wasSent(getMeetingNotificationKey(meeting));
   
-  if (notificationRecord) {
-    const recordData = JSON.parse(notificationRecord);
-    console.log(`✅ Already notified for event "${event.getTitle()}" at ${recordData.notifiedAt}`);
+  if (recordData) {
+    console.log(`✅ Already notified for meeting "${meeting.title}" at ${recordData.notifiedAt}`);
     return true;
   }
   
@@ -423,362 +881,669 @@ function hasAlreadyNotifiedEvent(event) {
 }
 
 /**
- * Check if we have already sent notifications for this meeting
+ * Record that we have sent notifications for this meeting
+ * postedMessages keeps { channel, ts, template, targetName } of bot posts so they can be edited later
+ */
+function recordNotificationSent(meeting, postedMessages = []) {
+  const recordData = {
+    meetingTitle: meeting.title,
+    meetingStart: meeting.startTime.toISOString(),
+    notifiedAt: new Date().toISOString()
+  };
+  if (meeting.reminder) {
+    recordData.reminder = meeting.reminder.key;
+  }
+  if (meeting.cancelled) {
+    recordData.cancelled = true;
+  }
+  if (postedMessages.length > 0) {
+    recordData.messages = postedMessages;
+  }
+  
+  NotificationLedger.markSent(getMeetingNotificationKey(meeting), recordData);
+  console.log(`📝 Recorded ${getMeetingNotificationEvent(meeting)} notification sent for meeting "${meeting.title}"`);
+}
+
+/**
+ * Process a single meeting and send notifications
+ */
+function processMeeting(meeting) {
+  try {
+    console.log(`📋 Processing meeting: ${meeting.title}`);
+    console.log(`🕐 Start time: ${meeting.startTime}`);
+    
+    // Check if we've already sent notifications for this meeting
+    const notificationEvent = getMeetingNotificationEvent(meeting);
+    if (hasAlreadyNotified(meeting)) {
+      console.log(`⏭️ Skipping notifications - already sent for "${meeting.title}"`);
+      return;
+    }
+    
+    // Determine which channels to notify
+    const channelsToNotify = notificationEvent === 'start'
+      ? getChannelsToNotify(meeting.config)
+      : getNotificationTargets(meeting.config, notificationEvent);
+    
+    const postedMessages = [];
+    for (const channel of channelsToNotify) {
+      // Format message based on target channel
+      const message = formatSlackMessage(meeting, channel);
+      const result = sendSlackNotification(channel, message);
+      
+      if (result.ok && result.ts && !CONFIG.DEBUG_MODE) {
+        postedMessages.push({
+          channel: result.channel,
+          ts: result.ts,
+          template: getMeetingTemplateName(meeting, channel),
+          targetName: channel.name
+        });
+      }
+      
+      // Remember the start message so the organizer can thread the recording under it
+      if (result.ok && result.ts && notificationEvent === 'start' && !CONFIG.DEBUG_MODE) {
+        try {
+          recordSlackThread(meeting.config.prefix, meeting.startTime, result.channel, channel.name, result.ts);
+        } catch (error) {
+          console.error(`⚠️ Could not record Slack thread for ${channel.name}:`, error);
+        }
+      }
+    }
+    
+    // Record that we've sent notifications for this meeting
+    recordNotificationSent(meeting, postedMessages);
+    
+  } catch (error) {
+    console.error(`❌ Error processing meeting ${meeting.title}:`, error);
+    sendErrorNotification(`Failed to process meeting: ${meeting.title}`, error.toString());
+  }
+}
+
+/**
+ * Determine which channels should receive the meeting-start notification
+ * Returns Slack targets from the meeting's notification targets (see slack-client.js)
+ */
+function getChannelsToNotify(meetingConfig) {
+  return getNotificationTargets(meetingConfig, 'start');
+}
+
+/**
+ * Format the Slack message with meeting details (see message-templates.js)
+ * The target's templates pick the message variant, e.g. meetingStartCrossPost for umbrella channels
+ */
+function formatSlackMessage(meeting, target) {
+  return renderMessageTemplate(getMeetingTemplateName(meeting, target), meeting.config, getMeetingMessageValues(meeting, target.name));
+}
+
+/**
+ * Pick the message template for a meeting notification and target
+ * Reminders use the target's template for their event, else the reminder's own template;
+ * a call for topics without an attached document uses its noAgendaTemplate instead
+ */
+function getMeetingTemplateName(meeting, target) {
+  const templates = target.templates || {};
+  if (meeting.cancelled) {
+    return templates.cancellation || 'meetingCancelled';
+  }
+  if (meeting.rescheduled) {
+    return templates.reschedule || 'meetingRescheduled';
+  }
+  if (meeting.reminder) {
+    if (meeting.reminder.noAgendaTemplate && !meeting.hasDocuments) {
+      return templates.topicsNoAgenda || meeting.reminder.noAgendaTemplate;
+    }
+    return templates[meeting.reminder.event] || meeting.reminder.template;
+  }
+  return templates.start || 'meetingStart';
+}
+
+/**
+ * Build the template placeholders for a calendar meeting
+ */
+function getMeetingMessageValues(meeting, targetChannel) {
+  const documents = meeting.hasDocuments ? meeting.documents : [];
+  
+  return {
+    ...getMeetingTemplateValues(meeting.config.prefix, meeting.config, meeting.title, meeting.startTime),
+    targetChannel: targetChannel || '',
+    meetLink: meeting.meetLink ? `<${meeting.meetLink}|Join Google Meet>` : '',
+    meetUrl: meeting.meetLink || '',
+    documents: documents.map(doc => `\n• <${doc.url}|${doc.displayName}>`).join(''),
+    startsIn: meeting.reminder ? formatReminderOffset(meeting.reminder.offsetMinutes) : '',
+    previousDate: meeting.previousStartTime ? Utilities.formatDate(meeting.previousStartTime, Session.getScriptTimeZone(), 'yyyy-MM-dd') : '',
+    previousTime: meeting.previousStartTime ? Utilities.formatDate(meeting.previousStartTime, Session.getScriptTimeZone(), 'HH:mm') : '',
+    previousLocalTime: meeting.previousStartTime ? formatSlackDate(meeting.previousStartTime) : ''
+  };
+}
+
+/**
+ * Send Slack notification to a target from getChannelsToNotify
+ * Returns the postSlackMessage result ({ ok, ts, channel, error })
+ */
+function sendSlackNotification(target, message) {
+  const channelName = target.name;
+  try {
+    // In debug mode, send to error channel instead
+    const deliveryTarget = CONFIG.DEBUG_MODE
+      ? { transport: 'webhook', webhook: CONFIG.DEFAULT_WEBHOOK, channel: null, name: channelName }
+      : target;
+    
+    if (!isSlackTargetConfigured(deliveryTarget)) {
+      console.log(`⚠️ No Slack ${deliveryTarget.transport === 'bot' ? 'channel' : 'webhook'} configured for ${channelName}, skipping`);
+      return { ok: false, ts: null, channel: null, error: 'not configured' };
+    }
+    
+    // Create a deep copy of the message to avoid modifying the original
+    let messageToSend = JSON.parse(JSON.stringify(message));
+    
+    // Add debug information as a separate block if in debug mode
+    if (CONFIG.DEBUG_MODE) {
+      // Add debug header to the message text
+      const debugPrefix = `🧪 *TEST NOTIFICATION* - This would normally be posted to ${channelName}\n\n`;
+      messageToSend.text = debugPrefix + messageToSend.text;
+      if (messageToSend.blocks[0] && messageToSend.blocks[0].type === 'section' && messageToSend.blocks[0].text) {
+        messageToSend.blocks[0].text.text = debugPrefix + messageToSend.blocks[0].text.text;
+      } else {
+        messageToSend.blocks.unshift({ type: 'section', text: { type: 'mrkdwn', text: debugPrefix.trim() } });
+      }
+    }
+    
+    const result = postSlackMessage(deliveryTarget, messageToSend);
+    
+    if (result.ok) {
+      console.log(`✅ Notification sent successfully to ${channelName}${result.ts ? ` (ts ${result.ts})` : ''}`);
+    } else {
+      console.error(`❌ Failed to send notification to ${channelName}:`, result.error);
+    }
+    return result;
+    
+  } catch (error) {
+    console.error(`❌ Error sending Slack notification to ${channelName}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Send error notification to debug channel
+ */
+function sendErrorNotification(title, errorMessage) {
+  try {
+    const message = {
+      "text": `❌ Calendar Notifier Error`,
+      "blocks": [
+        {
+          "type": "header",
+          "text": {
+            "type": "plain_text",
+            "text": "❌ Calendar Notifier Error"
+          }
+        },
+        {
+          "type": "section",
+          "text": {
+            "type": "mrkdwn",
+            "text": `*${title}*\n\`\`\`${errorMessage}\`\`\``
+          }
+        },
+        {
+          "type": "context",
+          "elements": [
+            {
+              "type": "mrkdwn",
+              "text": `🕐 ${new Date().toISOString()}`
+            }
+          ]
+        }
+      ]
+    };
+    
+    UrlFetchApp.fetch(CONFIG.DEFAULT_WEBHOOK, {
+      'method': 'POST',
+      'headers': {
+        'Content-Type': 'application/json',
+      },
+      'payload': JSON.stringify(message)
+    });
+    
+  } catch (error) {
+    console.error('❌ Failed to send error notification:', error);
+  }
+}
+
+/**
+ * Post the schedule of configured meetings for the next 7 days, grouped by day
+ * Runs every Monday from the trigger created by setupWeeklyScheduleTrigger; goes to
+ * CONFIG.WEEKLY_SCHEDULE_TARGETS (the Community Meeting channel by default)
+ */
+function postWeeklySchedule() {
+  try {
+    const weekStart = new Date();
+    const weekEnd = new Date(weekStart.getTime() + 7 * 24 * 60 * 60 * 1000);
+    console.log(`🗓️ Building weekly schedule for ${weekStart.toLocaleDateString()} - ${weekEnd.toLocaleDateString()}`);
+    
+    const meetings = getScheduledMeetings(weekStart, weekEnd);
+    const message = formatWeeklyScheduleMessage(meetings, weekStart, weekEnd);
+    
+    const targets = getNotificationTargets({ notificationTargets: CONFIG.WEEKLY_SCHEDULE_TARGETS || [] }, 'schedule');
+    if (targets.length === 0) {
+      console.log('⚠️ No WEEKLY_SCHEDULE_TARGETS configured - not posting the weekly schedule');
+      return;
+    }
+    
+    for (const target of targets) {
+      sendSlackNotification(target, message);
+    }
+    console.log(`📤 Posted weekly schedule with ${meetings.length} meeting(s) to ${targets.length} channel(s)`);
+  
+  } catch (error) {
+    console.error('❌ Error posting weekly schedule:', error);
+    sendErrorNotification('Failed to post weekly schedule', error.toString());
+  }
+}
+
+/**
+ * Get the configured, non-cancelled meetings starting between two times, in start order
+ */
+function getScheduledMeetings(windowStart, windowEnd) {
+  const calendar = CalendarApp.getCalendarById(CONFIG.CALENDAR_ID);
+  if (!calendar) {
+    throw new Error(`Calendar not found with ID: ${CONFIG.CALENDAR_ID}`);
+  }
+  
+  const meetings = [];
+  for (const event of calendar.getEvents(windowStart, windowEnd)) {
+    const title = event.getTitle();
+    if (isCancelledTitle(title)) {
+      console.log(`⏭️ Leaving canceled meeting out of the schedule: "${title}"`);
+      continue;
+    }
+    
+    const matchedConfig = findMatchingMeetingConfig(title);
+    if (!matchedConfig) {
+      continue;
+    }
+    
+    const meetingDetails = extractMeetingDetails(event);
+    meetings.push({
+      title: title,
+      startTime: event.getStartTime(),
+      meetLink: meetingDetails.meetLink,
+      documents: meetingDetails.documents,
+      hasDocuments: meetingDetails.hasDocuments,
+      config: matchedConfig,
+      event: event
+    });
+  }
+  
+  return meetings.sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Render the weekly schedule: the weeklySchedule heading, then one weeklyScheduleDay section per day
+ * (or weeklyScheduleEmpty when nothing is scheduled)
+ * The plain-text fallback lists the same days, with plain times in place of Slack date tokens
+ */
+function formatWeeklyScheduleMessage(meetings, weekStart, weekEnd) {
+  const timeZone = Session.getScriptTimeZone();
+  const values = {
+    weekStart: Utilities.formatDate(weekStart, timeZone, 'MMMM d'),
+    weekEnd: Utilities.formatDate(weekEnd, timeZone, 'MMMM d'),
+    meetingCount: meetings.length
+  };
+  const message = renderMessageTemplate('weeklySchedule', null, values);
+  
+  if (meetings.length === 0) {
+    const empty = renderMessageTemplate('weeklyScheduleEmpty', null, values);
+    message.blocks.push(...empty.blocks);
+    message.text += `\n\n${empty.text}`;
+    return message;
+  }
+  
+  // Each day is its own section so long weeks stay under Slack's per-block text limit
+  const days = [];
+  for (const meeting of meetings) {
+    const day = Utilities.formatDate(meeting.startTime, timeZone, 'EEEE, MMMM d');
+    if (days.length === 0 || days[days.length - 1].day !== day) {
+      days.push({ day, lines: [] });
+    }
+    days[days.length - 1].lines.push(formatWeeklyScheduleLine(meeting));
+  }
+  
+  days.forEach(({ day, lines }) => {
+    const section = renderMessageTemplate('weeklyScheduleDay', null, { ...values, day, meetings: lines.join('\n') });
+    message.blocks.push(...section.blocks);
+    message.text += `\n\n${section.text}`;
+  });
+  
+  return message;
+}
+
+/**
+ * Format one meeting of the weekly schedule: time, name, Slack channel, Meet link and agenda docs
+ */
+function formatWeeklyScheduleLine(meeting) {
+  const values = getMeetingTemplateValues(meeting.config.prefix, meeting.config, meeting.title, meeting.startTime);
+  const parts = [`*${formatSlackDate(meeting.startTime, '{time}')}* ${values.meetingName}`];
+  
+  if (values.channel) {
+    parts.push(values.channel);
+  }
+  if (meeting.meetLink) {
+    parts.push(`:video_camera: ${formatSlackLink(meeting.meetLink, 'Join')}`);
+  }
+  (meeting.documents || []).forEach(doc => {
+    parts.push(`:memo: ${formatSlackLink(doc.url, doc.displayName)}`);
+  });
+  
+  return `• ${parts.join(' · ')}`;
+}
+
+/**
+ * Web app entry point: serve the configured meetings as an iCalendar (.ics) feed
+ * ?sig=autoscaling,benchmarking limits the feed to some meetings (see getFeedMeetingKey);
+ * feeds are cached for CONFIG.ICS_FEED_CACHE_MINUTES since building one reads every event's details
+ * Unknown ?sig= values are dropped, so only configured meetings ever make up a cache key
+ */
+function doGet(e) {
+  const requestedSigs = ((e && e.parameter && e.parameter.sig) || '')
+    .split(',')
+    .map(normalizeFeedSig)
+    .filter(Boolean);
+  const feedKeys = getFeedMeetingKeys();
+  const sigFilter = feedKeys.filter(key => requestedSigs.includes(key)).sort();
+  
+  if (requestedSigs.length > 0 && sigFilter.length === 0) {
+    console.log(`⚠️ iCalendar feed requested with ${requestedSigs.length} unknown ?sig= value(s) - not serving a feed`);
+    return ContentService
+      .createTextOutput(`Unknown meeting filter. Use ?sig= with one or more of: ${feedKeys.join(', ')}`)
+      .setMimeType(ContentService.MimeType.TEXT);
+  }
+  
+  try {
+    const cache = CacheService.getScriptCache();
+    const cacheKey = `ics_feed_${sigFilter.join(',') || 'all'}`;
+    let ics = cache.get(cacheKey);
+    
+    if (!ics) {
+      console.log(`📆 Building iCalendar feed for ${sigFilter.length > 0 ? sigFilter.join(', ') : 'all meetings'}`);
+      ics = buildIcsFeed(sigFilter);
+      
+      // Script cache values are limited to 100KB
+      if (ics.length < 100000) {
+        cache.put(cacheKey, ics, (CONFIG.ICS_FEED_CACHE_MINUTES || 15) * 60);
+      }
+    }
+    
+    return ContentService.createTextOutput(ics).setMimeType(ContentService.MimeType.ICAL);
+  
+  } catch (error) {
+    console.error('❌ Error building iCalendar feed:', error);
+    sendErrorNotification('Failed to build iCalendar feed', error.toString());
+    return ContentService.createTextOutput('Calendar feed is temporarily unavailable').setMimeType(ContentService.MimeType.TEXT);
+  }
+}
+
+/**
+ * Normalize a ?sig= value: "sig-autoscaling", "Autoscaling" and "autoscaling" are the same
+ */
+function normalizeFeedSig(sig) {
+  return normalizeMeetingTitle(sig).replace(/\s+/g, '-').replace(/^sig-/, '');
+}
+
+/**
+ * Get the key a meeting config is filtered by in the feed, e.g. "autoscaling" or "community-meeting"
+ * Derived from the config key with extractSigName, so it follows the same matching as notifications
+ */
+function getFeedMeetingKey(config) {
+  return normalizeFeedSig(extractSigName(config.prefix));
+}
+
+/**
+ * Get the feed keys of every configured meeting, without duplicates
+ */
+function getFeedMeetingKeys() {
+  const keys = Object.keys(CONFIG.MEETING_CONFIGS).map(prefix => getFeedMeetingKey({ prefix }));
+  return [...new Set(keys)];
+}
+
+/**
+ * Build the iCalendar feed of configured, non-cancelled meetings
+ * Covers the past 7 days and the next CONFIG.ICS_FEED_DAYS (default 60)
+ */
+function buildIcsFeed(sigFilter) {
+  const calendar = CalendarApp.getCalendarById(CONFIG.CALENDAR_ID);
+  if (!calendar) {
+    throw new Error(`Calendar not found with ID: ${CONFIG.CALENDAR_ID}`);
+  }
+  
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const windowEnd = new Date(now.getTime() + (CONFIG.ICS_FEED_DAYS || 60) * 24 * 60 * 60 * 1000);
+  const stamp = formatIcsDate(now);
+  
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//llm-d//Calendar Meeting Notifier//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(sigFilter.length > 0 ? `llm-d ${sigFilter.join(', ')}` : 'llm-d meetings')}`,
+    'X-PUBLISHED-TTL:PT1H'
+  ];
+  
+  let eventCount = 0;
+  for (const event of calendar.getEvents(windowStart, windowEnd)) {
+    const title = event.getTitle();
+    if (event.isAllDayEvent() || isCancelledTitle(title)) {
+      continue;
+    }
+    
+    const matchedConfig = findMatchingMeetingConfig(title);
+    if (!matchedConfig || (sigFilter.length > 0 && !sigFilter.includes(getFeedMeetingKey(matchedConfig)))) {
+      continue;
+    }
+    
+    lines.push(...formatIcsEvent(event, extractMeetingDetails(event), stamp));
+    eventCount++;
+  }
+  
+  lines.push('END:VCALENDAR');
+  console.log(`📆 iCalendar feed has ${eventCount} event(s)`);
+  
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Format one occurrence as a VEVENT with its Meet link and attached documents
+ */
+function formatIcsEvent(event, meetingDetails, stamp) {
+  const startTime = event.getStartTime();
+  const descriptionLines = [];
+  
+  if (meetingDetails.meetLink) {
+    descriptionLines.push(`Join Google Meet: ${meetingDetails.meetLink}`);
+  }
+  if (meetingDetails.documents.length > 0) {
+    descriptionLines.push('Meeting documents:');
+    meetingDetails.documents.forEach(doc => {
+      descriptionLines.push(`- ${doc.displayName}: ${doc.url}`);
+    });
+  }
+  
+  // Occurrences of a recurring series share the event ID, so the start time makes the UID unique
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${formatIcsDate(startTime)}-${event.getId()}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatIcsDate(startTime)}`,
+    `DTEND:${formatIcsDate(event.getEndTime())}`,
+    `SUMMARY:${escapeIcsText(event.getTitle())}`
+  ];
+  if (descriptionLines.length > 0) {
+    lines.push(`DESCRIPTION:${escapeIcsText(descriptionLines.join('\n'))}`);
+  }
+  if (meetingDetails.meetLink) {
+    lines.push(`LOCATION:${escapeIcsText(meetingDetails.meetLink)}`);
+    lines.push(`URL:${meetingDetails.meetLink}`);
+  }
+  lines.push('END:VEVENT');
+  
+  return lines;
+}
+
+/**
+ * Format a date as an iCalendar UTC date-time, e.g. 20250918T170000Z
  */
-function hasAlreadyNotified(meeting) {
-  const key = getMeetingNotificationKey(meeting);
-  const properties = PropertiesService.getScriptProperties();
-  const notificationRecord = properties.getProperty(key);
-  
-  if (notificationRecord) {
-    const recordData = JSON.parse(notificationRecord);
-    console.log(`✅ Already notified for meeting "${meeting.title}" at ${recordData.notifiedAt}`);
-    return true;
-  }
-  
-  return false;
+function formatIcsDate(date) {
+  return Utilities.formatDate(date, 'UTC', "yyyyMMdd'T'HHmmss'Z'");
 }
 
 /**
- * Record that we have sent notifications for this meeting
+ * Escape text for an iCalendar property value
  */
-function recordNotificationSent(meeting) {
-  const key = getMeetingNotificationKey(meeting);
-  const properties = PropertiesService.getScriptProperties();
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold an iCalendar line into 75-octet chunks (RFC 5545), continuation lines start with a space
+ */
+function foldIcsLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let chunkOctets = 0;
   
-  const recordData = {
-    meetingTitle: meeting.title,
-    meetingStart: meeting.startTime.toISOString(),
-    notifiedAt: new Date().toISOString()
-  };
+  for (const character of line) {
+    const codePoint = character.codePointAt(0);
+    const octets = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (chunkOctets + octets > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      chunkOctets = 0;
+    }
+    chunk += character;
+    chunkOctets += octets;
+  }
+  chunks.push(chunk);
   
-  properties.setProperty(key, JSON.stringify(recordData));
-  console.log(`📝 Recorded notification sent for meeting "${meeting.title}"`);
+  return chunks.join('\r\n ');
 }
 
 /**
- * Clean up old notification records with smart aging strategy
- * Prevents PropertiesService storage from hitting the 50 property limit
+ * Create agenda docs for upcoming occurrences of configured meetings that have no document yet
+ * Runs hourly from the trigger created by setupAgendaDocTrigger. Meetings opt in with agendaTemplateId
+ * (or CONFIG.DEFAULT_AGENDA_TEMPLATE_ID); docs are created getAgendaLeadHours() before the start
  */
-function cleanupOldNotificationRecords() {
+function createUpcomingAgendaDocs() {
   try {
-    const properties = PropertiesService.getScriptProperties();
-    const allProperties = properties.getProperties();
     const now = new Date();
+    const leadHours = Object.values(CONFIG.MEETING_CONFIGS).map(getAgendaLeadHours);
+    const windowEnd = new Date(now.getTime() + Math.max(0, ...leadHours) * 60 * 60 * 1000);
+    let createdCount = 0;
     
-    // Count notification records to check against limits
-    const notificationRecords = [];
-    for (const [key, value] of Object.entries(allProperties)) {
-      if (key.startsWith('notified_')) {
-        try {
-          const recordData = JSON.parse(value);
-          notificationRecords.push({
-            key: key,
-            data: recordData,
-            notifiedTime: new Date(recordData.notifiedAt)
-          });
-        } catch (parseError) {
-          // Corrupted record - mark for deletion
-          notificationRecords.push({
-            key: key,
-            data: null,
-            notifiedTime: new Date(0) // Very old date to ensure deletion
-          });
-        }
-      }
-    }
-    
-    console.log(`📊 Current notification records: ${notificationRecords.length}/50 (PropertiesService limit)`);
-    
-    let cleanedCount = 0;
-    
-    // Strategy 1: Always remove corrupted records
-    const corruptedRecords = notificationRecords.filter(record => !record.data);
-    for (const record of corruptedRecords) {
-      properties.deleteProperty(record.key);
-      cleanedCount++;
-      console.log(`🧹 Cleaned up corrupted notification record: ${record.key}`);
-    }
-    
-    // Strategy 2: Aggressive cleanup based on current load
-    let cutoffHours;
-    if (notificationRecords.length >= 45) {
-      // Near limit - very aggressive cleanup (4 hours)
-      cutoffHours = 4;
-      console.log('⚠️ Near PropertiesService limit - using aggressive 4-hour cleanup');
-    } else if (notificationRecords.length >= 30) {
-      // Getting full - moderate cleanup (8 hours) 
-      cutoffHours = 8;
-      console.log('📈 Storage getting full - using 8-hour cleanup');
-    } else {
-      // Normal cleanup (24 hours)
-      cutoffHours = 24;
-    }
-    
-    const cutoffTime = new Date(now.getTime() - (cutoffHours * 60 * 60 * 1000));
-    
-    // Strategy 3: Time-based cleanup
-    for (const record of notificationRecords) {
-      if (record.data && record.notifiedTime < cutoffTime) {
-        properties.deleteProperty(record.key);
-        cleanedCount++;
-        console.log(`🧹 Cleaned up old notification record (${cutoffHours}h): ${record.data.meetingTitle}`);
+    for (const occurrence of listCalendarOccurrences(now, windowEnd, false)) {
+      if (occurrence.status === 'cancelled' || isCancelledTitle(occurrence.summary) || !occurrence.start || !occurrence.start.dateTime) {
+        continue;
       }
-    }
-    
-    // Strategy 4: Emergency cleanup if still near limit
-    const remainingRecords = notificationRecords.length - cleanedCount;
-    if (remainingRecords >= 48) { // Leave room for new meetings
-      console.log('🚨 EMERGENCY: Still near limit after cleanup - removing oldest records');
       
-      // Sort by notification time and remove oldest
-      const sortedRecords = notificationRecords
-        .filter(record => record.data) // Only valid records
-        .sort((a, b) => a.notifiedTime - b.notifiedTime);
+      const matchedConfig = findMatchingMeetingConfig(occurrence.summary || '');
+      if (!matchedConfig || !getAgendaTemplateId(matchedConfig)) {
+        continue;
+      }
       
-      const recordsToRemove = remainingRecords - 40; // Keep it well under 50
-      for (let i = 0; i < recordsToRemove && i < sortedRecords.length; i++) {
-        const record = sortedRecords[i];
-        properties.deleteProperty(record.key);
-        cleanedCount++;
-        console.log(`🚨 Emergency cleanup: ${record.data.meetingTitle}`);
+      const startTime = new Date(occurrence.start.dateTime);
+      if (startTime.getTime() - now.getTime() > getAgendaLeadHours(matchedConfig) * 60 * 60 * 1000) {
+        continue;
+      }
+      if (hasAgendaDocument(occurrence)) {
+        continue;
       }
-    }
-    
-    if (cleanedCount > 0) {
-      console.log(`🧹 Cleaned up ${cleanedCount} notification record(s) using ${cutoffHours}h cutoff`);
       
-      // Send alert if we had to use aggressive cleanup
-      if (cutoffHours < 24) {
-        const remainingAfterCleanup = notificationRecords.length - cleanedCount;
-        sendDebugMessage(`⚠️ Used aggressive cleanup (${cutoffHours}h) - had ${notificationRecords.length} records, now ${remainingAfterCleanup}`);
+      try {
+        if (createAgendaDoc(occurrence, matchedConfig, startTime)) {
+          createdCount++;
+        }
+      } catch (error) {
+        console.error(`❌ Failed to create agenda doc for "${occurrence.summary}":`, error);
+        sendErrorNotification(`Failed to create agenda doc for ${occurrence.summary}`, error.toString());
       }
-    } else {
-      console.log(`✅ No cleanup needed - ${notificationRecords.length} records, ${cutoffHours}h cutoff`);
     }
     
+    console.log(`📝 Created ${createdCount} agenda doc(s)`);
+  
   } catch (error) {
-    console.error('❌ Error cleaning up notification records:', error);
+    console.error('❌ Error creating agenda docs:', error);
+    sendErrorNotification('Failed to create agenda docs', error.toString());
   }
 }
 
 /**
- * Process a single meeting and send notifications
+ * Get the Google Doc copied for a meeting's agendas, or null when the meeting has none
  */
-function processMeeting(meeting) {
-  try {
-    console.log(`📋 Processing meeting: ${meeting.title}`);
-    console.log(`🕐 Start time: ${meeting.startTime}`);
-    
-    // Check if we've already sent notifications for this meeting
-    if (hasAlreadyNotified(meeting)) {
-      console.log(`⏭️ Skipping notifications - already sent for "${meeting.title}"`);
-      return;
-    }
-    
-    // Determine which channels to notify
-    const channelsToNotify = getChannelsToNotify(meeting.config);
-    
-    for (const channel of channelsToNotify) {
-      // Format message based on target channel
-      const message = formatSlackMessage(meeting, channel.name);
-      sendSlackNotification(channel.webhook, message, channel.name);
-    }
-    
-    // Record that we've sent notifications for this meeting
-    recordNotificationSent(meeting);
-    
-  } catch (error) {
-    console.error(`❌ Error processing meeting ${meeting.title}:`, error);
-    sendErrorNotification(`Failed to process meeting: ${meeting.title}`, error.toString());
-  }
+function getAgendaTemplateId(config) {
+  return config.agendaTemplateId || CONFIG.DEFAULT_AGENDA_TEMPLATE_ID || null;
 }
 
 /**
- * Determine which channels should receive notifications
+ * Get how many hours before the start an agenda doc is created
  */
-function getChannelsToNotify(meetingConfig) {
-  const channels = [];
-  
-  // Community Meeting only goes to #community
-  if (meetingConfig.prefix === '[PUBLIC] llm-d Community Meeting') {
-    channels.push({
-      webhook: meetingConfig.slackWebhook,
-      name: meetingConfig.slackChannel
-    });
-  } else {
-    // SIG meetings go to both their specific channel and #community
-    channels.push({
-      webhook: meetingConfig.slackWebhook,
-      name: meetingConfig.slackChannel
-    });
-    
-    // Also send to community channel (find community config)
-    const communityConfig = CONFIG.MEETING_CONFIGS['[PUBLIC] llm-d Community Meeting'];
-    if (communityConfig) {
-      channels.push({
-        webhook: communityConfig.slackWebhook,
-        name: communityConfig.slackChannel
-      });
-    }
+function getAgendaLeadHours(config) {
+  if (typeof config.agendaLeadHours === 'number') {
+    return config.agendaLeadHours;
   }
-  
-  return channels;
+  if (typeof CONFIG.AGENDA_DOC_LEAD_HOURS === 'number') {
+    return CONFIG.AGENDA_DOC_LEAD_HOURS;
+  }
+  return 48;
 }
 
 /**
- * Extract SIG name from meeting title for a cleaner message
+ * Check whether an occurrence already has a document, attached or linked in its description
  */
-function extractSigName(title) {
-  // Extract SIG name from titles like "[PUBLIC] llm-d sig-autoscaling"
-  const sigMatch = title.match(/sig-([a-z-]+)/i);
-  if (sigMatch) {
-    return `sig-${sigMatch[1]}`;
-  }
-  
-  // Handle Community Meeting
-  if (title.includes('Community Meeting')) {
-    return 'Community Meeting';
-  }
-  
-  // Fallback to full title
-  return title;
+function hasAgendaDocument(occurrence) {
+  const hasAttachment = (occurrence.attachments || []).some(attachment => attachment.fileUrl);
+  return hasAttachment || /https:\/\/(?:docs|drive)\.google\.com\//.test(occurrence.description || '');
 }
 
 /**
- * Format the Slack message with meeting details
- * Channel parameter determines the message content
+ * Copy the agenda template into the meeting's folder and attach the copy to the occurrence
+ * Named e.g. "2025-09-18 llm-d sig-autoscaling - Agenda"; returns false in debug mode
  */
-function formatSlackMessage(meeting, targetChannel) {
-  const sigName = extractSigName(meeting.title);
-  const isSigMeeting = sigName.startsWith('sig-');
-  const isCommunityChannel = targetChannel === '#community';
-  
-  // Create the main message text with status
-  let messageText;
+function createAgendaDoc(occurrence, config, startTime) {
+  const values = getMeetingTemplateValues(config.prefix, config, occurrence.summary, startTime);
+  const docName = `${values.date} llm-d ${values.sigName} - Agenda`;
+  const folderId = config.agendaFolderId || config.targetFolderId;
   
-  // Meeting is starting right now
-  if (isSigMeeting && isCommunityChannel) {
-    // SIG meeting posted to community channel - include channel link
-    messageText = `:bell: The weekly public llm-d ${sigName} meeting is starting.\n\nJoin the ${meeting.config.slackChannel} channel for detailed discussion.`;
-  } else {
-    // SIG meeting posted to SIG channel OR Community meeting - use simple format
-    messageText = `:bell: The weekly public llm-d ${sigName} meeting is starting. Join us!`;
+  if (CONFIG.DEBUG_MODE) {
+    console.log(`🧪 DEBUG MODE: Would create "${docName}" in folder ${folderId} and attach it to "${occurrence.summary}"`);
+    return false;
   }
   
-  // Add Google Meet link if available
-  if (meeting.meetLink) {
-    messageText += `\n\n:video_camera: <${meeting.meetLink}|Join Google Meet>`;
-  }
-  
-  // Add meeting documents if available
-  if (meeting.hasDocuments && meeting.documents.length > 0) {
-    messageText += `\n\n:memo: Meeting Notes:`;
-    meeting.documents.forEach((doc) => {
-      messageText += `\n• <${doc.url}|${doc.displayName}>`;
-    });
-  }
+  // Reuse a doc from an earlier run whose calendar update failed
+  const folder = DriveApp.getFolderById(folderId);
+  const existingDocs = folder.getFilesByName(docName);
+  const doc = existingDocs.hasNext()
+    ? existingDocs.next()
+    : DriveApp.getFileById(getAgendaTemplateId(config)).makeCopy(docName, folder);
   
-  let message = {
-    "text": messageText,
-    "blocks": [
+  // Patching one occurrence of a recurring event turns it into an exception; the series is unchanged
+  Calendar.Events.patch({
+    attachments: [
+      ...(occurrence.attachments || []),
       {
-        "type": "section",
-        "text": {
-          "type": "mrkdwn",
-          "text": messageText
-        }
+        fileUrl: doc.getUrl(),
+        title: docName,
+        mimeType: 'application/vnd.google-apps.document'
       }
     ]
-  };
+  }, CONFIG.CALENDAR_ID, occurrence.id, { supportsAttachments: true });
   
-  return message;
-}
-
-/**
- * Send Slack notification
- */
-function sendSlackNotification(webhookUrl, message, channelName) {
-  try {
-    // In debug mode, send to error channel instead
-    const targetWebhook = CONFIG.DEBUG_MODE ? CONFIG.DEFAULT_WEBHOOK : webhookUrl;
-    
-    // Create a deep copy of the message to avoid modifying the original
-    let messageToSend = JSON.parse(JSON.stringify(message));
-    
-    // Add debug information as a separate block if in debug mode
-    if (CONFIG.DEBUG_MODE) {
-      // Add debug header to the message text
-      const debugPrefix = `🧪 *TEST NOTIFICATION* - This would normally be posted to ${channelName}\n\n`;
-      messageToSend.text = debugPrefix + messageToSend.text;
-      messageToSend.blocks[0].text.text = debugPrefix + messageToSend.blocks[0].text.text;
-    }
-    
-    const response = UrlFetchApp.fetch(targetWebhook, {
-      'method': 'POST',
-      'headers': {
-        'Content-Type': 'application/json',
-      },
-      'payload': JSON.stringify(messageToSend)
-    });
-    
-    if (response.getResponseCode() === 200) {
-      console.log(`✅ Notification sent successfully to ${channelName}`);
-    } else {
-      console.error(`❌ Failed to send notification to ${channelName}:`, response.getContentText());
-    }
-    
-  } catch (error) {
-    console.error(`❌ Error sending Slack notification to ${channelName}:`, error);
-    throw error;
-  }
-}
-
-/**
- * Send error notification to debug channel
- */
-function sendErrorNotification(title, errorMessage) {
-  try {
-    const message = {
-      "text": `❌ Calendar Notifier Error`,
-      "blocks": [
-        {
-          "type": "header",
-          "text": {
-            "type": "plain_text",
-            "text": "❌ Calendar Notifier Error"
-          }
-        },
-        {
-          "type": "section",
-          "text": {
-            "type": "mrkdwn",
-            "text": `*${title}*\n\`\`\`${errorMessage}\`\`\``
-          }
-        },
-        {
-          "type": "context",
-          "elements": [
-            {
-              "type": "mrkdwn",
-              "text": `🕐 ${new Date().toISOString()}`
-            }
-          ]
-        }
-      ]
-    };
-    
-    UrlFetchApp.fetch(CONFIG.DEFAULT_WEBHOOK, {
-      'method': 'POST',
-      'headers': {
-        'Content-Type': 'application/json',
-      },
-      'payload': JSON.stringify(message)
-    });
-    
-  } catch (error) {
-    console.error('❌ Failed to send error notification:', error);
-  }
+  console.log(`📝 Created agenda doc "${docName}" and attached it to "${occurrence.summary}"`);
+  return true;
 }
 
 /**
@@ -1028,8 +1793,8 @@ function testNextMeetingNotification() {
       const title = event.getTitle();
       const startTime = event.getStartTime();
       
-      // Skip meetings with "Canceled" in the title (case-insensitive)
-      if (title.toLowerCase().includes('canceled')) {
+      // Skip meetings with "Canceled" or "Cancelled" in the title (case-insensitive)
+      if (isCancelledTitle(title)) {
         console.log(`⏭️ Skipping canceled meeting: "${title}"`);
         continue;
       }
@@ -1065,6 +1830,7 @@ function testNextMeetingNotification() {
       Object.keys(CONFIG.MEETING_CONFIGS).forEach(prefix => {
         console.log(`   - "${prefix}"`);
       });
+      console.log('💡 Run explainMatch("<event title>") to see why a title does not match');
       return;
     }
     
@@ -1078,10 +1844,11 @@ function testNextMeetingNotification() {
       });
     }
     
-    // Create and log the message payload (for community channel example)
-    const message = formatSlackMessage(nextMeeting, '#community');
-    console.log('📨 Message payload (for #community channel):');
-    console.log(JSON.stringify(message, null, 2));
+    // Create and log the message payload for each target channel
+    getChannelsToNotify(nextMeeting.config).forEach(target => {
+      console.log(`📨 Message payload (for ${target.name}):`);
+      console.log(JSON.stringify(formatSlackMessage(nextMeeting, target), null, 2));
+    });
     
     // Send the test notification
     console.log('📤 Sending test notification...');
@@ -1102,53 +1869,19 @@ function testNextMeetingNotification() {
 }
 
 /**
- * Daily cleanup function - more thorough cleanup at end of business day
- * Call this once per day (e.g., at 11:59 PM) to ensure storage stays clean
+ * Daily cleanup: drop expired notification records and old meeting threads
+ * Runs at 11:30 PM from the trigger created by setupCleanupTriggers
  */
 function dailyCleanupNotificationRecords() {
   try {
     console.log('🌅 Running daily cleanup of notification records...');
     
-    const properties = PropertiesService.getScriptProperties();
-    const allProperties = properties.getProperties();
-    const now = new Date();
-    
-    // For daily cleanup, remove anything older than 6 hours (very aggressive)
-    const cutoffTime = new Date(now.getTime() - (6 * 60 * 60 * 1000));
+    const prunedCount = NotificationLedger.prune();
+    const stats = NotificationLedger.getStats();
+    console.log(`🌅 Daily cleanup completed: Removed ${prunedCount} expired record(s), ${stats.records} kept`);
     
-    let cleanedCount = 0;
-    let totalRecords = 0;
-    
-    for (const [key, value] of Object.entries(allProperties)) {
-      if (key.startsWith('notified_')) {
-        totalRecords++;
-        try {
-          const recordData = JSON.parse(value);
-          const notifiedTime = new Date(recordData.notifiedAt);
-          
-          if (notifiedTime < cutoffTime) {
-            properties.deleteProperty(key);
-            cleanedCount++;
-            console.log(`🌅 Daily cleanup: ${recordData.meetingTitle}`);
-          }
-        } catch (parseError) {
-          // Remove corrupted records
-          properties.deleteProperty(key);
-          cleanedCount++;
-          console.log(`🌅 Daily cleanup: Removed corrupted record ${key}`);
-        }
-      }
-    }
-    
-    console.log(`🌅 Daily cleanup completed: Removed ${cleanedCount}/${totalRecords} records`);
-    
-    // Report storage health - only alert if there are issues
-    const remainingRecords = totalRecords - cleanedCount;
-    if (remainingRecords > 30) {
-      sendDebugMessage(`⚠️ Storage still high after daily cleanup: ${remainingRecords}/50 records remaining`);
-    } else {
-      console.log(`✅ Storage healthy after daily cleanup: ${remainingRecords}/50 records`);
-    }
+    // Meeting threads live in a sheet, so they are trimmed here rather than by the ledger
+    pruneSlackThreads();
     
   } catch (error) {
     console.error('❌ Error in daily cleanup:', error);
@@ -1188,6 +1921,62 @@ function setupCleanupTriggers() {
   }
 }
 
+/**
+ * Setup function for the weekly schedule post
+ * Run this once to post the week's schedule every Monday at CONFIG.WEEKLY_SCHEDULE_HOUR
+ */
+function setupWeeklyScheduleTrigger() {
+  try {
+    // Delete existing weekly schedule triggers
+    const triggers = ScriptApp.getProjectTriggers();
+    for (const trigger of triggers) {
+      if (trigger.getHandlerFunction() === 'postWeeklySchedule') {
+        ScriptApp.deleteTrigger(trigger);
+      }
+    }
+    
+    const hour = CONFIG.WEEKLY_SCHEDULE_HOUR === undefined ? 9 : CONFIG.WEEKLY_SCHEDULE_HOUR;
+    ScriptApp.newTrigger('postWeeklySchedule')
+      .timeBased()
+      .onWeekDay(ScriptApp.WeekDay.MONDAY)
+      .atHour(hour)
+      .create();
+    
+    console.log(`✅ Weekly schedule trigger created - will post every Monday around ${hour}:00`);
+  
+  } catch (error) {
+    console.error('❌ Error setting up weekly schedule trigger:', error);
+    sendErrorNotification('Failed to setup weekly schedule trigger', error.toString());
+  }
+}
+
+/**
+ * Setup function for agenda doc creation
+ * Run this once to check for occurrences needing an agenda doc every hour
+ */
+function setupAgendaDocTrigger() {
+  try {
+    // Delete existing agenda doc triggers
+    const triggers = ScriptApp.getProjectTriggers();
+    for (const trigger of triggers) {
+      if (trigger.getHandlerFunction() === 'createUpcomingAgendaDocs') {
+        ScriptApp.deleteTrigger(trigger);
+      }
+    }
+    
+    ScriptApp.newTrigger('createUpcomingAgendaDocs')
+      .timeBased()
+      .everyHours(1)
+      .create();
+    
+    console.log('✅ Agenda doc trigger created - will run every hour');
+  
+  } catch (error) {
+    console.error('❌ Error setting up agenda doc trigger:', error);
+    sendErrorNotification('Failed to setup agenda doc trigger', error.toString());
+  }
+}
+
 /**
  * Clear all notification records (for testing purposes)
  * Use this if you want to test notifications for meetings that have already been notified
@@ -1196,16 +1985,7 @@ function clearAllNotificationRecords() {
   try {
     console.log('🧪 Clearing all notification records...');
     
-    const properties = PropertiesService.getScriptProperties();
-    const allProperties = properties.getProperties();
-    let clearedCount = 0;
-    
-    for (const key of Object.keys(allProperties)) {
-      if (key.startsWith('notified_')) {
-        properties.deleteProperty(key);
-        clearedCount++;
-      }
-    }
+    const clearedCount = NotificationLedger.clear();
     
     console.log(`✅ Cleared ${clearedCount} notification record(s)`);
     sendDebugMessage(`Cleared ${clearedCount} notification records for testing`);
@@ -1216,98 +1996,37 @@ function clearAllNotificationRecords() {
 }
 
 /**
- * Monitor PropertiesService storage health and usage
+ * Report on the notification ledger and script property usage
+ * Script properties share a 500KB quota; the ledger itself only needs a few KB
  */
 function monitorStorageHealth() {
   try {
-    console.log('📊 Monitoring PropertiesService storage health...');
+    console.log('📊 Monitoring notification ledger storage...');
     
-    const properties = PropertiesService.getScriptProperties();
-    const allProperties = properties.getProperties();
-    
-    let notificationRecords = 0;
-    let otherProperties = 0;
-    let oldestRecord = null;
-    let newestRecord = null;
-    let corruptedRecords = 0;
-    
-    for (const [key, value] of Object.entries(allProperties)) {
-      if (key.startsWith('notified_')) {
-        notificationRecords++;
-        try {
-          const recordData = JSON.parse(value);
-          const notifiedTime = new Date(recordData.notifiedAt);
-          
-          if (!oldestRecord || notifiedTime < oldestRecord.time) {
-            oldestRecord = { time: notifiedTime, title: recordData.meetingTitle };
-          }
-          if (!newestRecord || notifiedTime > newestRecord.time) {
-            newestRecord = { time: notifiedTime, title: recordData.meetingTitle };
-          }
-        } catch (parseError) {
-          corruptedRecords++;
-        }
-      } else {
-        otherProperties++;
-      }
-    }
-    
-    const totalProperties = notificationRecords + otherProperties;
-    const utilizationPercent = Math.round((totalProperties / 50) * 100);
+    const stats = NotificationLedger.getStats();
+    const records = NotificationLedger.list();
+    const utilizationPercent = Math.round((stats.propertyBytes / stats.propertyQuotaBytes) * 100);
     
     console.log('='.repeat(50));
-    console.log('📊 PROPERTIES SERVICE STORAGE REPORT');
+    console.log('📊 NOTIFICATION LEDGER REPORT');
     console.log('='.repeat(50));
-    console.log(`📦 Total properties: ${totalProperties}/50 (${utilizationPercent}% full)`);
-    console.log(`📝 Notification records: ${notificationRecords}`);
-    console.log(`⚙️  Other properties: ${otherProperties}`);
-    console.log(`❌ Corrupted records: ${corruptedRecords}`);
-    
-    if (oldestRecord) {
-      const hoursOld = Math.floor((new Date() - oldestRecord.time) / (1000 * 60 * 60));
-      console.log(`⏰ Oldest record: ${oldestRecord.title} (${hoursOld}h old)`);
-    }
-    
-    if (newestRecord) {
-      const minutesOld = Math.floor((new Date() - newestRecord.time) / (1000 * 60));
-      console.log(`⏰ Newest record: ${newestRecord.title} (${minutesOld}m old)`);
-    }
-    
-    // Health assessment
-    let healthStatus = '🟢 HEALTHY';
-    let recommendations = [];
-    
-    if (utilizationPercent >= 90) {
-      healthStatus = '🔴 CRITICAL';
-      recommendations.push('Run emergency cleanup immediately');
-      recommendations.push('Consider shorter retention period');
-    } else if (utilizationPercent >= 70) {
-      healthStatus = '🟡 WARNING';
-      recommendations.push('Monitor closely');
-      recommendations.push('Consider running daily cleanup more frequently');
-    } else if (utilizationPercent >= 50) {
-      healthStatus = '🟡 MODERATE';
-      recommendations.push('Storage usage is moderate');
-    }
-    
-    if (corruptedRecords > 0) {
-      recommendations.push(`Clean up ${corruptedRecords} corrupted records`);
-    }
-    
-    console.log(`📊 Health status: ${healthStatus}`);
-    
-    if (recommendations.length > 0) {
-      console.log('💡 Recommendations:');
-      recommendations.forEach((rec, index) => {
-        console.log(`   ${index + 1}. ${rec}`);
-      });
+    console.log(`🗄️ Backend: ${stats.backend === 'sheet' ? `Google Sheet ${CONFIG.NOTIFICATION_LEDGER_SHEET_ID}` : `script properties (${stats.shards} shard(s))`}`);
+    console.log(`📝 Notification records: ${records.length} (kept ${CONFIG.NOTIFICATION_RETENTION_DAYS || 7} days after each meeting)`);
+    console.log(`📦 Script properties: ${Math.round(stats.propertyBytes / 1024)}KB of ${stats.propertyQuotaBytes / 1024}KB (${utilizationPercent}%)`);
+    
+    if (records.length > 0) {
+      const oldest = records[0];
+      const newest = records[records.length - 1];
+      console.log(`⏰ Oldest record: ${oldest.record.meetingTitle} (notified ${oldest.record.notifiedAt})`);
+      console.log(`⏰ Newest record: ${newest.record.meetingTitle} (notified ${newest.record.notifiedAt})`);
     }
     
+    console.log(`📊 Health status: ${utilizationPercent >= 80 ? '🟡 WARNING - script properties are filling up' : '🟢 HEALTHY'}`);
     console.log('='.repeat(50));
     
-    // Send Slack notification if storage is getting full
+    // Other features share the property quota, so warn well before it is reached
     if (utilizationPercent >= 80) {
-      sendDebugMessage(`⚠️ PropertiesService storage is ${utilizationPercent}% full (${totalProperties}/50 properties)\nOldest record: ${oldestRecord?.title} (${Math.floor((new Date() - oldestRecord?.time) / (1000 * 60 * 60))}h old)`);
+      sendDebugMessage(`⚠️ Script properties are ${utilizationPercent}% full (${Math.round(stats.propertyBytes / 1024)}KB) - consider NOTIFICATION_LEDGER_SHEET_ID`);
     }
     
   } catch (error) {
@@ -1322,34 +2041,18 @@ function listNotificationRecords() {
   try {
     console.log('📋 Listing all notification records...');
     
-    const properties = PropertiesService.getScriptProperties();
-    const allProperties = properties.getProperties();
-    let recordCount = 0;
-    
-    for (const [key, value] of Object.entries(allProperties)) {
-      if (key.startsWith('notified_')) {
-        try {
-          const recordData = JSON.parse(value);
-          const hoursOld = Math.floor((new Date() - new Date(recordData.notifiedAt)) / (1000 * 60 * 60));
-          console.log(`📝 ${recordData.meetingTitle} - ${hoursOld}h ago (${recordData.notifiedAt})`);
-          recordCount++;
-        } catch (parseError) {
-          console.log(`❌ Corrupted record: ${key}`);
-          recordCount++;
-        }
-      }
-    }
+    const records = NotificationLedger.list();
+    records.forEach(({ record, expiresAt }) => {
+      const kind = record.cancelled ? 'cancellation' : record.reminder ? `${record.reminder} reminder` : 'notification';
+      console.log(`📝 ${record.meetingTitle} (${record.meetingStart}) - ${kind} sent ${record.notifiedAt}, expires ${expiresAt.toISOString()}`);
+    });
     
-    console.log(`📊 Total notification records: ${recordCount}/50`);
+    console.log(`📊 Total notification records: ${records.length}`);
     
-    if (recordCount === 0) {
+    if (records.length === 0) {
       console.log('✨ No notification records found - all meetings will trigger notifications');
     }
     
-    // Show storage utilization
-    const utilizationPercent = Math.round((recordCount / 50) * 100);
-    console.log(`📦 Storage utilization: ${utilizationPercent}%`);
-    
   } catch (error) {
     console.error('❌ Error listing notification records:', error);
   }
@@ -1382,6 +2085,11 @@ function testConfig() {
     
     if (CONFIG.MEETING_CONFIGS) {
       console.log('Meeting configs:', Object.keys(CONFIG.MEETING_CONFIGS).length);
+      
+      const botMeetings = Object.values(CONFIG.MEETING_CONFIGS).filter(config => getSlackTransport(config) === 'bot');
+      if (botMeetings.length > 0) {
+        console.log(`Bot token transport: ${botMeetings.length} meeting(s), token ${getSlackBotToken() ? 'set' : 'NOT SET'}`);
+      }
     } else {
       console.log('Meeting configs: NOT SET');
     }
@@ -0,0 +1,374 @@
+/**
+ * LLM-D Calendar Sync
+ *
+ * Keeps the upcoming occurrences of the shared calendar in script properties, so the calendar
+ * notifier's every-minute trigger reads them from there instead of scanning the calendar and
+ * loading each event again. Add this file to the calendar notifier project, next to config.js.
+ *
+ * How it works:
+ * - A full sync lists every occurrence (recurring events expanded, cancelled ones included) from
+ *   an hour ago to a day past the furthest lookahead (CANCELLATION_LOOKAHEAD_HOURS or the longest
+ *   reminder), and keeps the nextSyncToken Google returns
+ * - Each run after that asks Calendar.Events.list for the changes since the sync token only
+ * - Once a day, when the lookahead grows, or when Google expires the token (HTTP 410), the cache
+ *   is rebuilt with a full sync, which also moves the window forward
+ *
+ * Occurrences are cached as trimmed Calendar API events: id, iCalUID, status, summary, start,
+ * Meet link, attachments, and only the Meet and Drive links of the description.
+ * Cancelled instances without a title get their series title (seriesTitle) when they are synced,
+ * so each series is looked up at most once rather than on every run.
+ * The cache is split over calendar_sync_occurrences_0, calendar_sync_occurrences_1, ...
+ * next to its sync token in calendar_sync_state.
+ */
+
+const CALENDAR_SYNC_STATE_PROPERTY = 'calendar_sync_state';
+const CALENDAR_SYNC_CHUNK_PREFIX = 'calendar_sync_occurrences_';
+const CALENDAR_SYNC_CHUNK_SIZE = 8000;
+const CALENDAR_FULL_SYNC_HOURS = 24;
+const CALENDAR_DESCRIPTION_LINK_PATTERN = /https:\/\/(?:meet\.google\.com\/[a-z-]+|(?:docs|drive)\.google\.com\/[^\s\)\>\"]+)/g;
+
+// Synced once per execution
+let calendarSyncState = null;
+
+/**
+ * Get cached occurrences starting in a time range, earliest first
+ * Cancelled occurrences are matched by their original start and only included with showDeleted;
+ * ranges outside the synced window are listed from the Calendar API instead
+ */
+function getSyncedOccurrences(timeMin, timeMax, showDeleted) {
+  const state = syncCalendarOccurrences();
+  if (timeMin < new Date(state.windowStart) || timeMax > new Date(state.windowEnd)) {
+    console.log('ℹ️ Requested range is outside the synced calendar window - listing it from the Calendar API');
+    const occurrences = listCalendarOccurrences(timeMin, timeMax, showDeleted);
+    addSeriesTitles(occurrences);
+    return occurrences;
+  }
+  
+  return Object.values(state.occurrences)
+    .filter(occurrence => showDeleted || occurrence.status !== 'cancelled')
+    .filter(occurrence => {
+      const startTime = getOccurrenceStartTime(occurrence);
+      return startTime && startTime >= timeMin && startTime <= timeMax;
+    })
+    .sort((a, b) => getOccurrenceStartTime(a) - getOccurrenceStartTime(b));
+}
+
+/**
+ * Get the start of an occurrence, or the original start of a cancelled one (null for all-day events)
+ */
+function getOccurrenceStartTime(occurrence) {
+  const startValue = (occurrence.start && occurrence.start.dateTime) ||
+    (occurrence.originalStartTime && occurrence.originalStartTime.dateTime);
+  return startValue ? new Date(startValue) : null;
+}
+
+/**
+ * Bring the cached occurrences up to date, with a full sync when one is due
+ * Returns { syncToken, fullSyncAt, windowStart, windowEnd, occurrences }
+ */
+function syncCalendarOccurrences() {
+  if (calendarSyncState) {
+    return calendarSyncState;
+  }
+  
+  const now = new Date();
+  const state = loadCalendarSyncState();
+  const lookaheadEnd = new Date(now.getTime() + getCalendarSyncLookaheadHours() * 60 * 60 * 1000);
+  const fullSyncDue = !state ||
+    !state.syncToken ||
+    now.getTime() - new Date(state.fullSyncAt).getTime() >= CALENDAR_FULL_SYNC_HOURS * 60 * 60 * 1000 ||
+    new Date(state.windowEnd) < lookaheadEnd;
+  
+  if (!fullSyncDue) {
+    try {
+      calendarSyncState = syncCalendarChanges(state, now);
+      return calendarSyncState;
+    } catch (error) {
+      if (!isSyncTokenExpired(error)) {
+        throw error;
+      }
+      console.log('🔄 Calendar sync token expired - running a full sync');
+    }
+  }
+  
+  calendarSyncState = fullSyncCalendarOccurrences(now);
+  return calendarSyncState;
+}
+
+/**
+ * Rebuild the cache from a full listing of the sync window
+ */
+function fullSyncCalendarOccurrences(now) {
+  const windowHours = getCalendarSyncLookaheadHours() + CALENDAR_FULL_SYNC_HOURS + 1;
+  const state = {
+    syncToken: null,
+    fullSyncAt: now.toISOString(),
+    windowStart: new Date(now.getTime() - 60 * 60 * 1000).toISOString(),
+    windowEnd: new Date(now.getTime() + windowHours * 60 * 60 * 1000).toISOString(),
+    occurrences: {}
+  };
+  
+  const response = fetchCalendarChanges({ timeMin: state.windowStart, timeMax: state.windowEnd });
+  response.items.forEach(item => {
+    const occurrence = trimCalendarOccurrence(item);
+    if (getOccurrenceStartTime(occurrence)) {
+      state.occurrences[item.id] = occurrence;
+    }
+  });
+  addSeriesTitles(Object.values(state.occurrences));
+  state.syncToken = response.nextSyncToken;
+  
+  saveCalendarSyncState(state, true);
+  console.log(`🔄 Full calendar sync: ${Object.keys(state.occurrences).length} occurrence(s) until ${state.windowEnd}`);
+  return state;
+}
+
+/**
+ * Apply the changes since the last sync token to the cache
+ */
+function syncCalendarChanges(state, now) {
+  const response = fetchCalendarChanges({ syncToken: state.syncToken });
+  const previousToken = state.syncToken;
+  let occurrencesChanged = false;
+  
+  response.items.forEach(item => {
+    occurrencesChanged = applyCalendarChange(state, item) || occurrencesChanged;
+  });
+  occurrencesChanged = addSeriesTitles(Object.values(state.occurrences)) > 0 || occurrencesChanged;
+  
+  // Drop occurrences that are over
+  const cutoff = now.getTime() - 60 * 60 * 1000;
+  Object.keys(state.occurrences).forEach(id => {
+    const startTime = getOccurrenceStartTime(state.occurrences[id]);
+    if (!startTime || startTime.getTime() < cutoff) {
+      delete state.occurrences[id];
+      occurrencesChanged = true;
+    }
+  });
+  
+  state.syncToken = response.nextSyncToken;
+  if (occurrencesChanged || state.syncToken !== previousToken) {
+    saveCalendarSyncState(state, occurrencesChanged);
+  }
+  if (response.items.length > 0) {
+    console.log(`🔄 Calendar sync: ${response.items.length} changed occurrence(s)`);
+  }
+  return state;
+}
+
+/**
+ * Merge one changed event into the cache; returns whether the cache changed
+ * Changes outside the sync window are dropped - the next full sync picks them up
+ */
+function applyCalendarChange(state, item) {
+  const cached = state.occurrences[item.id];
+  
+  // A deleted event or series comes back as its ID only: cancel what we have of it
+  if (item.status === 'cancelled' && !item.start && !item.originalStartTime) {
+    let changed = false;
+    Object.values(state.occurrences).forEach(occurrence => {
+      if (occurrence.id === item.id || occurrence.recurringEventId === item.id) {
+        occurrence.status = 'cancelled';
+        changed = true;
+      }
+    });
+    return changed;
+  }
+  
+  // Cancelled instances carry no title or links, so keep the ones we had
+  const occurrence = item.status === 'cancelled' && cached
+    ? { ...cached, ...trimCalendarOccurrence(item) }
+    : trimCalendarOccurrence(item);
+  const startTime = getOccurrenceStartTime(occurrence);
+  if (!startTime || startTime < new Date(state.windowStart) || startTime > new Date(state.windowEnd)) {
+    if (cached) {
+      delete state.occurrences[item.id];
+      return true;
+    }
+    return false;
+  }
+  
+  state.occurrences[item.id] = occurrence;
+  return true;
+}
+
+/**
+ * Give untitled occurrences of recurring events their series title as seriesTitle
+ * The title comes from another occurrence of the series, else from one Calendar.Events.get per series;
+ * occurrences whose series can't be loaded get an empty seriesTitle so they aren't looked up again
+ * Returns how many occurrences were given a seriesTitle
+ */
+function addSeriesTitles(occurrences) {
+  const seriesTitles = {};
+  occurrences.forEach(occurrence => {
+    if (occurrence.recurringEventId && occurrence.summary && occurrence.status !== 'cancelled') {
+      seriesTitles[occurrence.recurringEventId] = occurrence.summary;
+    }
+  });
+  
+  let titledCount = 0;
+  occurrences.forEach(occurrence => {
+    if (occurrence.summary || !occurrence.recurringEventId || occurrence.seriesTitle !== undefined) {
+      return;
+    }
+    if (!(occurrence.recurringEventId in seriesTitles)) {
+      seriesTitles[occurrence.recurringEventId] = getRecurringEventTitle(occurrence.recurringEventId);
+    }
+    occurrence.seriesTitle = seriesTitles[occurrence.recurringEventId] || '';
+    titledCount++;
+  });
+  return titledCount;
+}
+
+/**
+ * Get the title of a recurring event series
+ */
+function getRecurringEventTitle(recurringEventId) {
+  try {
+    return Calendar.Events.get(CONFIG.CALENDAR_ID, recurringEventId).summary || null;
+  } catch (error) {
+    console.log(`ℹ️ Could not load recurring event ${recurringEventId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * List events for a full sync (timeMin / timeMax) or an incremental one (syncToken)
+ * Returns { items, nextSyncToken } across all pages
+ */
+function fetchCalendarChanges(params) {
+  const items = [];
+  let pageToken;
+  let nextSyncToken = null;
+  
+  do {
+    const response = Calendar.Events.list(CONFIG.CALENDAR_ID, {
+      ...params,
+      singleEvents: true,
+      showDeleted: true,
+      maxResults: 250,
+      pageToken: pageToken
+    });
+    items.push(...(response.items || []));
+    pageToken = response.nextPageToken;
+    nextSyncToken = response.nextSyncToken || nextSyncToken;
+  } while (pageToken);
+  
+  return { items, nextSyncToken };
+}
+
+/**
+ * Check whether a Calendar API error means the sync token is no longer valid (HTTP 410)
+ */
+function isSyncTokenExpired(error) {
+  return /410|sync token|full sync is required/i.test(String(error && error.message || error));
+}
+
+/**
+ * How far ahead the every-minute trigger looks: the cancellation lookahead or the longest reminder
+ */
+function getCalendarSyncLookaheadHours() {
+  const lookaheadHours = CONFIG.CANCELLATION_LOOKAHEAD_HOURS || 72;
+  return Math.max(lookaheadHours, Math.ceil(getLongestReminderOffsetMinutes() / 60));
+}
+
+/**
+ * Keep the fields of a Calendar API event that the notifier uses
+ */
+function trimCalendarOccurrence(item) {
+  const occurrence = { id: item.id };
+  ['iCalUID', 'recurringEventId', 'status', 'summary', 'hangoutLink'].forEach(field => {
+    if (item[field]) {
+      occurrence[field] = item[field];
+    }
+  });
+  if (item.start) {
+    occurrence.start = item.start.dateTime ? { dateTime: item.start.dateTime } : { date: item.start.date };
+  }
+  if (item.originalStartTime && item.originalStartTime.dateTime) {
+    occurrence.originalStartTime = { dateTime: item.originalStartTime.dateTime };
+  }
+  
+  const videoEntry = item.conferenceData && (item.conferenceData.entryPoints || []).find(ep => ep.entryPointType === 'video' && ep.uri);
+  if (videoEntry) {
+    occurrence.conferenceData = { entryPoints: [{ entryPointType: 'video', uri: videoEntry.uri }] };
+  }
+  
+  const attachments = (item.attachments || [])
+    .filter(attachment => attachment.fileUrl)
+    .map(attachment => ({ fileUrl: attachment.fileUrl, title: attachment.title || null }));
+  if (attachments.length > 0) {
+    occurrence.attachments = attachments;
+  }
+  
+  const descriptionLinks = `${item.description || ''}\n${item.location || ''}`.match(CALENDAR_DESCRIPTION_LINK_PATTERN) || [];
+  if (descriptionLinks.length > 0) {
+    occurrence.description = [...new Set(descriptionLinks)].join('\n');
+  }
+  
+  return occurrence;
+}
+
+/**
+ * Read the sync token and cached occurrences from the script properties
+ * Returns null when there is no (readable) cache yet
+ */
+function loadCalendarSyncState() {
+  const allProperties = PropertiesService.getScriptProperties().getProperties();
+  if (!allProperties[CALENDAR_SYNC_STATE_PROPERTY]) {
+    return null;
+  }
+  
+  try {
+    const state = JSON.parse(allProperties[CALENDAR_SYNC_STATE_PROPERTY]);
+    let serialized = '';
+    for (let index = 0; index < state.chunks; index++) {
+      serialized += allProperties[CALENDAR_SYNC_CHUNK_PREFIX + index] || '';
+    }
+    state.occurrences = serialized ? JSON.parse(serialized) : {};
+    return state;
+  } catch (parseError) {
+    console.error('❌ Corrupted calendar sync cache - running a full sync');
+    return null;
+  }
+}
+
+/**
+ * Write the sync state; the occurrences are only written again when they changed
+ */
+function saveCalendarSyncState(state, occurrencesChanged) {
+  const properties = PropertiesService.getScriptProperties();
+  const { occurrences, ...syncState } = state;
+  const updates = {};
+  
+  if (occurrencesChanged) {
+    const serialized = JSON.stringify(occurrences);
+    syncState.chunks = Math.ceil(serialized.length / CALENDAR_SYNC_CHUNK_SIZE);
+    for (let index = 0; index < syncState.chunks; index++) {
+      updates[CALENDAR_SYNC_CHUNK_PREFIX + index] = serialized.slice(index * CALENDAR_SYNC_CHUNK_SIZE, (index + 1) * CALENDAR_SYNC_CHUNK_SIZE);
+    }
+    state.chunks = syncState.chunks;
+  }
+  
+  updates[CALENDAR_SYNC_STATE_PROPERTY] = JSON.stringify(syncState);
+  properties.setProperties(updates);
+  
+  // Remove chunks left over from a larger cache
+  if (occurrencesChanged) {
+    properties.getKeys()
+      .filter(key => key.startsWith(CALENDAR_SYNC_CHUNK_PREFIX) && Number(key.slice(CALENDAR_SYNC_CHUNK_PREFIX.length)) >= syncState.chunks)
+      .forEach(key => properties.deleteProperty(key));
+  }
+}
+
+/**
+ * Throw away the cache so the next run does a full sync, e.g. after changing CALENDAR_ID
+ */
+function resetCalendarSync() {
+  const properties = PropertiesService.getScriptProperties();
+  properties.getKeys()
+    .filter(key => key === CALENDAR_SYNC_STATE_PROPERTY || key.startsWith(CALENDAR_SYNC_CHUNK_PREFIX))
+    .forEach(key => properties.deleteProperty(key));
+  calendarSyncState = null;
+  console.log('🔄 Calendar sync cache cleared - the next run does a full sync');
+}
@@ -13,13 +13,93 @@ const CONFIG = {
   // Get this from the URL: https://drive.google.com/drive/folders/YOUR_SOURCE_FOLDER_ID_HERE
   SOURCE_FOLDER_ID: 'YOUR_SOURCE_FOLDER_ID_HERE',
   
+  // Optional: several source folders to scan, e.g. each SIG lead's "Meet Recordings" folder
+  // shared with the organizer account. Entries are folder IDs or { id, label, meetingConfigs }
+  // where meetingConfigs limits a folder to the listed meeting prefixes.
+  // When set, this replaces SOURCE_FOLDER_ID (file organizer only)
+  SOURCE_FOLDERS: [
+    // { id: 'SIG_LEAD_RECORDINGS_FOLDER_ID', label: 'sig-autoscaling lead', meetingConfigs: ['[PUBLIC] llm-d sig-autoscaling'] }
+  ],
+  
+  // Files of the same meeting whose Meet date stamps are within this many minutes
+  // of each other are treated as one occurrence (file organizer only)
+  OCCURRENCE_WINDOW_MINUTES: 60,
+  
+  // Hours to wait for the missing half of a Recording / Notes by Gemini pair before
+  // moving whatever exists and alerting DEFAULT_WEBHOOK (file organizer only)
+  // Override per meeting with incompleteGraceHours; remove to wait indefinitely
+  INCOMPLETE_GRACE_HOURS: 24,
+  
+  // Optional dated subfolder layout inside each target folder (file organizer only)
+  // YYYY, MM and DD are replaced with the meeting date, e.g. 'YYYY/YYYY-MM-DD'
+  // Override per meeting with folderLayout; leave empty to move files straight into the target folder
+  DEFAULT_FOLDER_LAYOUT: '',
+  
+  // Optional template for renaming meeting files as they are moved (file organizer only)
+  // Placeholders: {date}, {time}, {sig}, {type}, {prefix} - e.g. '{date} llm-d {sig} - {type}'
+  // The original name is kept in the file description
+  // Override per meeting with fileNameTemplate; leave empty to keep the names Meet gives files
+  DEFAULT_FILE_NAME_TEMPLATE: '',
+  
+  // Shared drive linked from recording announcements as {sharedDrive} (override per meeting with sharedDriveUrl)
+  SHARED_DRIVE_URL: 'https://drive.google.com/drive/folders/1cN2YQiAZFJD_cb1ivlyukuNwecnin6lZ',
+  SHARED_DRIVE_NAME: 'shared llm-d google drive',
+  
+  // Time zones for the plain-text meeting times ({timeZones}, and the fallback of Slack date tokens
+  // such as {localTime} in notifications and email), e.g. "09:00 PDT / 16:00 UTC / 18:00 CEST / 21:30 IST"
+  // Leave empty to use the script time zone only
+  DISPLAY_TIME_ZONES: ['America/Los_Angeles', 'UTC', 'Europe/Berlin', 'Asia/Kolkata'],
+  
+  // Override the wording of Slack posts by template name (see message-templates.js for the
+  // defaults and placeholders): meetingStart, meetingStartCrossPost, meetingReminder, meetingCancelled,
+  // callForTopics, callForTopicsNoAgenda, meetingRescheduled, weeklySchedule, weeklyScheduleDay, weeklyScheduleEmpty, filesAvailable,
+  // filesAvailableNoNotes, filesAvailableNoRecording. Override per meeting with messageTemplates
+  MESSAGE_TEMPLATES: {
+    // meetingStart: ':bell: llm-d {meetingName} starts now ({time})\n\n:video_camera: {meetLink}\n\n:memo: Agenda:{documents}'
+  },
+  
+  // Include the Summary and "Suggested next steps" from Notes by Gemini in recording announcements
+  // (file organizer only - override per meeting with includeGeminiSummary)
+  INCLUDE_GEMINI_SUMMARY: true,
+  
+  // Maximum characters posted per Gemini section before linking to the full notes
+  GEMINI_SUMMARY_MAX_LENGTH: 1500,
+  
   // Calendar ID for the shared calendar to monitor for upcoming meetings (calendar notifier only)
   // Get this from Google Calendar settings -> Calendar settings -> Calendar ID
   // For public calendars, it's usually the email address format
   CALENDAR_ID: 'YOUR_CALENDAR_ID_HERE@group.calendar.google.com',
   
+  // Optional reminders before each meeting, on top of the notification at start time (calendar notifier only)
+  // offsetMinutes before the start; template defaults to 'meetingReminder'; key (default e.g. '1440m')
+  // keeps each reminder from being sent twice. Override per meeting with reminders ([] turns them off).
+  // Reminders go to notification targets whose events include 'reminder'
+  DEFAULT_REMINDERS: [
+    // { offsetMinutes: 24 * 60, key: '24h' },
+    // { offsetMinutes: 10, key: '10m' }
+  ],
+  
+  // Optional call for agenda topics before each meeting (calendar notifier only), e.g. { offsetMinutes: 24 * 60 }
+  // Links the agenda doc attached to the event with the 'callForTopics' template, or alerts that there is
+  // none with 'callForTopicsNoAgenda' (override with template / noAgendaTemplate). Sent once per occurrence
+  // to notification targets whose events include 'topics'. Override per meeting with callForTopics (false turns it off)
+  DEFAULT_CALL_FOR_TOPICS: null,
+  
   // Meeting prefix to exact target folder mapping
   // Each entry maps a meeting prefix to the exact Google Drive folder ID where files should be moved
+  // Titles match the prefix case-insensitively with whitespace collapsed (see meeting-matcher.js)
+  // Add a match block to an entry for other title formats, e.g.
+  //   match: {
+  //     prefixes: ['[PUBLIC] llm-d sig-autoscaling', 'llm-d autoscaling'],
+  //     regexes: [/sig[- ]autoscaling/i],
+  //     exclude: ['office hours'],
+  //     priority: 10
+  //   }
+  // Titles with text before the prefix (the organizer's old "contains" behavior) need
+  // match: { contains: ['<prefix>'] }
+  // Run explainMatch('<title>') in either script to see which entry a title matches and why
+  // To post with the bot token instead of a webhook, add slackTransport: 'bot' and
+  // slackChannelId: 'C0123456789' (slackWebhook can then be left out)
   MEETING_CONFIGS: {
     '[PUBLIC] llm-d sig-autoscaling': {
       targetFolderId: 'YOUR_TARGET_FOLDER_ID',
@@ -63,8 +143,78 @@ const CONFIG = {
     }
     // Add more meeting configurations as needed
     // Format: 'meeting prefix': { targetFolderId, slackWebhook, slackChannel }
+    // Optional: incompleteGraceHours overrides INCOMPLETE_GRACE_HOURS for one meeting
+    // Optional: folderLayout overrides DEFAULT_FOLDER_LAYOUT for one meeting
+    // Optional: fileNameTemplate overrides DEFAULT_FILE_NAME_TEMPLATE for one meeting
+    // Optional: includeGeminiSummary overrides INCLUDE_GEMINI_SUMMARY for one meeting
+    // Optional: agendaTemplateId, agendaFolderId and agendaLeadHours for agenda docs (calendar notifier)
   },
   
+  // How meeting notifications are posted to Slack (see slack-client.js):
+  // 'webhook' posts to each meeting's slackWebhook; 'bot' calls chat.postMessage with the bot token,
+  // posting to slackChannelId (or slackChannel by name) so new channels don't need their own webhook.
+  // Override per meeting with slackTransport
+  DEFAULT_SLACK_TRANSPORT: 'webhook',
+  
+  // Bot User OAuth Token (xoxb-...) from the Slack app, used by the 'bot' transport
+  // Prefer setting the SLACK_BOT_TOKEN script property instead of keeping it here
+  SLACK_BOT_TOKEN: '',
+  
+  // How far ahead to look for cancelled and rescheduled occurrences of configured meetings (calendar notifier only)
+  // A cancellation or reschedule notice is posted once, as soon as the change is seen within this window.
+  // The calendar sync cache (see calendar-sync.js) covers this window or the longest reminder, plus a day
+  CANCELLATION_LOOKAHEAD_HOURS: 72,
+  
+  // Where each meeting's posts go, unless the meeting sets notificationTargets (see slack-client.js)
+  // { self: true } is the meeting's own channel, { meetingConfig: '<key>' } another meeting's channel,
+  // or give slackWebhook / slackChannel / slackChannelId / slackTransport directly.
+  // events limits a target to 'start' (meeting is starting), 'reminder', 'topics' (call for topics), 'cancellation',
+  // 'reschedule' or 'recording' (files organized) posts; templates picks the message template per post.
+  // A channel listed twice only gets the first entry, so the Community Meeting isn't cross-posted to its own channel
+  // Without this setting, meetings post only to their own channel (with a warning in the logs)
+  DEFAULT_NOTIFICATION_TARGETS: [
+    { self: true },
+    { meetingConfig: '[PUBLIC] llm-d Community Meeting', events: ['start'], templates: { start: 'meetingStartCrossPost' } }
+  ],
+  
+  // Where postWeeklySchedule posts the next 7 days of meetings (calendar notifier only), same entries
+  // as DEFAULT_NOTIFICATION_TARGETS. Posted every Monday at WEEKLY_SCHEDULE_HOUR once
+  // setupWeeklyScheduleTrigger has been run; wording from the weeklySchedule* templates
+  WEEKLY_SCHEDULE_TARGETS: [
+    { meetingConfig: '[PUBLIC] llm-d Community Meeting' }
+  ],
+  WEEKLY_SCHEDULE_HOUR: 9,
+  
+  // iCalendar feed served when the calendar notifier is deployed as a web app (see doGet):
+  // how many days ahead it covers, and how long a built feed is cached
+  ICS_FEED_DAYS: 60,
+  ICS_FEED_CACHE_MINUTES: 15,
+  
+  // Google Doc (ID from its URL) copied as the agenda of each upcoming occurrence without a document
+  // (calendar notifier, once setupAgendaDocTrigger has been run). The copy is named e.g.
+  // "2025-09-18 llm-d sig-autoscaling - Agenda", goes into the meeting's targetFolderId and is attached
+  // to the occurrence AGENDA_DOC_LEAD_HOURS before it starts. Override per meeting with agendaTemplateId,
+  // agendaFolderId and agendaLeadHours; leave empty to only create agendas for meetings that set one
+  DEFAULT_AGENDA_TEMPLATE_ID: '',
+  AGENDA_DOC_LEAD_HOURS: 48,
+  
+  // Optional Google Sheet (ID from its URL) where the calendar notifier keeps the ts of each
+  // "meeting is starting" message. The file organizer then posts the recording as a reply in
+  // that thread. Use the same sheet in both projects; needs the 'bot' transport
+  SLACK_THREADS_SHEET_ID: '',
+  
+  // Also show thread replies in the channel ("Also send to #channel")
+  // Override per meeting with threadBroadcast
+  THREAD_BROADCAST: false,
+  
+  // How many days the calendar notifier remembers a sent notification after the meeting starts
+  // (see notification-ledger.js). Expired records are pruned hourly and by the daily cleanup
+  NOTIFICATION_RETENTION_DAYS: 7,
+  
+  // Optional Google Sheet (ID from its URL) for the notification ledger, one row per notification.
+  // Leave empty to keep the ledger in a few compact script properties
+  NOTIFICATION_LEDGER_SHEET_ID: '',
+  
   // Default webhook for error notifications and debug testing
   // This is used for both file organizer and calendar notifier errors
   DEFAULT_WEBHOOK: 'YOUR_DEFAULT_WEBHOOK_URL'
@@ -4,38 +4,52 @@
  * This script automatically:
  * 1. Finds files matching configured meeting patterns (e.g., "[PUBLIC] llm-d sig-*")
  * 2. Moves them to organized folders in Google Drive
- * 3. Sends Slack notifications via webhooks
+ * 3. Sends Slack notifications via webhooks (with the Gemini summary when available)
  * 4. Runs automatically every 15 minutes
  */
 
 // CONFIGURATION is loaded from config.js file
 // This keeps sensitive data (webhooks, folder IDs) out of the main script
-// Note: In Google Apps Script, upload both this file and config.js
+// Note: In Google Apps Script, upload this file, config.js, meeting-matcher.js, slack-client.js
+// and message-templates.js
 
-/**
- * @OnlyCurrentDoc
- * @oauthScopes https://www.googleapis.com/auth/drive
- */
+// OAuth scopes and the Drive advanced service are declared in appsscript.organizer.json
+// (paste it into the project's appsscript.json manifest)
 
 /**
  * Main function that organizes meeting files
  * This gets called by the time-based trigger
  */
 function organizeMeetingFiles() {
+  // Runs share the ledger shards, so a run that overlaps the previous one is skipped
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(0)) {
+    console.log('Previous run is still in progress - skipping this run');
+    return;
+  }
+  
   try {
     if (CONFIG.DEBUG_MODE) {
       console.log('🐛 DEBUG MODE ENABLED - No files will be moved, operations will be logged only');
     }
     console.log('Starting meeting file organization...');
+    const runStartedAt = new Date();
+    
+    // Finish announcements that failed on earlier runs before looking for new files
+    const ledger = loadLedger();
+    pruneLedger(ledger);
+    resumeUnfinishedAnnouncements(ledger);
     
-    // Find all meeting files in source folder
-    const files = findMeetingFiles();
+    // Find new meeting files plus files still waiting for their pair
+    const { files, scannedFolderIds } = findMeetingFiles();
     console.log(`Found ${files.length} meeting files`);
     
     if (CONFIG.DEBUG_MODE) {
-      console.log(`🐛 DEBUG: Source folder ID: ${CONFIG.SOURCE_FOLDER_ID}`);
+      getSourceFolders().forEach(folder => {
+        console.log(`🐛 DEBUG: Source folder: ${folder.label} (${folder.id})`);
+      });
       files.forEach((file, index) => {
-        console.log(`🐛 DEBUG: [${index + 1}/${files.length}] Found file: ${file.title}`);
+        console.log(`🐛 DEBUG: [${index + 1}/${files.length}] Found file: ${file.title} (from ${file.sourceFolderLabel})`);
       });
     }
     
@@ -44,11 +58,12 @@ function organizeMeetingFiles() {
       if (CONFIG.DEBUG_MODE) {
         console.log(`🐛 DEBUG: No files found matching any configured meeting prefixes`);
       }
+      saveScanState(runStartedAt, scannedFolderIds, []);
       return;
     }
     
     // Group files by meeting configuration
-    const groupedFiles = groupFilesByMeetingConfig(files);
+    const groupedFiles = groupFilesByMeetingConfig(files, ledger);
     
     if (CONFIG.DEBUG_MODE) {
       console.log(`🐛 DEBUG: Grouped files into ${Object.keys(groupedFiles).length} meeting configurations`);
@@ -57,23 +72,60 @@ function organizeMeetingFiles() {
       }
     }
     
+    // Track which files left the source folder so the rest stay pending, and which of those
+    // are held in a target folder after a failed rollback
+    const movedFileIds = new Set();
+    const heldFileIds = new Set();
+    
     // Process each meeting group
     for (const [configKey, groupData] of Object.entries(groupedFiles)) {
-      const { config, files: groupFiles, isChat } = groupData;
+      const { config, files: groupFiles, isChat, missingArtifacts, lateFor } = groupData;
       console.log(`Processing ${groupFiles.length} files for "${configKey}"`);
       
-      // Get target folder (create subfolder if needed)
-      const targetFolder = getTargetFolder(config);
+      // Files that reappear after their occurrence was announced are moved again but never re-announced,
+      // and neither is the missing half of an occurrence that was already released without it
+      const alreadyAnnounced = Boolean(lateFor) ||
+        groupFiles.some(fileData => ledger[fileData.id] && ledger[fileData.id].notifiedAt);
+      
+      // Get target folder (create dated subfolder if needed)
+      const targetFolder = getTargetFolder(config, groupData.occurrence);
+      const announcement = {
+        missingArtifacts,
+        folder: getFolderLayout(config) ? targetFolder : null,
+        prefix: groupData.prefix,
+        meetingTime: groupData.occurrence.meetingTime
+      };
       
       let filesToNotify = groupFiles;
       
       // Move files to the folder (or log in debug mode)
       if (CONFIG.DEBUG_MODE) {
         logFileMoveOperations(groupFiles, targetFolder, configKey);
+        filesToNotify = groupFiles.map(fileData => {
+          const canonicalName = getCanonicalFileName(fileData, groupData);
+          if (canonicalName) {
+            console.log(`🐛 DEBUG: Would rename "${fileData.title}" to "${canonicalName}"`);
+            return { ...fileData, title: canonicalName };
+          }
+          return fileData;
+        });
       } else {
-        moveFilesToFolder(groupFiles, targetFolder);
+        const moveOutcome = moveFilesToFolder(groupFiles, targetFolder);
+        
+        // An occurrence moves as a whole: undo partial moves and hold the announcement
+        if (moveOutcome.failed.length > 0) {
+          const rollback = rollBackMovedFiles(moveOutcome.moved, targetFolder);
+          rollback.held.forEach(({ fileData }) => heldFileIds.add(fileData.id));
+          sendMoveFailureReport(configKey, groupData, targetFolder, moveOutcome, rollback);
+          console.log(`Skipping "${configKey}" until all of its files can be moved`);
+          continue;
+        }
+        
+        moveOutcome.moved.forEach(fileData => movedFileIds.add(fileData.id));
+        recordMovedFiles(ledger, configKey, groupData, moveOutcome.moved, announcement.folder);
+        const renamedFiles = renameMeetingFiles(groupFiles, groupData);
         // After moving, get updated file links for the notification
-        filesToNotify = groupFiles.map(fileData => {
+        filesToNotify = renamedFiles.map(fileData => {
           const file = DriveApp.getFileById(fileData.id);
           return {
             ...fileData,
@@ -82,20 +134,27 @@ function organizeMeetingFiles() {
         });
       }
       
+      // Escalate occurrences that were released without their other half
+      if (lateFor) {
+        console.log(`"${configKey}" is the late half of "${lateFor}" - moved without a new announcement`);
+      } else if (missingArtifacts) {
+        sendIncompletePairAlert(configKey, groupData);
+      }
+      
       // Send Slack notification only for non-Chat files
-      if (!isChat) {
-        if (CONFIG.DEBUG_MODE) {
-          sendDebugSlackNotification(configKey, config, filesToNotify);
-        } else {
-          sendConfiguredSlackNotification(configKey, config, filesToNotify);
-        }
-      } else {
+      if (isChat) {
         console.log(`Skipping Slack notification for Chat files: "${configKey}"`);
+      } else if (alreadyAnnounced) {
+        console.log(`Skipping Slack notification - "${configKey}" was already announced`);
+      } else {
+        announceOccurrence(configKey, config, filesToNotify, announcement, ledger);
       }
       
       console.log(`Completed processing for "${configKey}"`);
     }
     
+    saveScanState(runStartedAt, scannedFolderIds, files.filter(file => !movedFileIds.has(file.id)), heldFileIds);
+    
     console.log('Meeting file organization completed successfully');
   } catch (error) {
     console.error('Error organizing meeting files:', error);
@@ -103,273 +162,1507 @@ function organizeMeetingFiles() {
     // Send error notification to monitoring channel
     sendErrorNotification(`Main script error: ${error.toString()}`)
     
-    throw error;
-  }
+    throw error;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// Script properties used to remember where the last scan of each source folder stopped
+const SCAN_CHECKPOINT_PROPERTY = 'organizer_scan_checkpoint';
+const PENDING_FILES_PROPERTY = 'organizer_pending_files';
+
+// Overlap between scans so files written while a run was in progress are never missed
+const SCAN_CHECKPOINT_OVERLAP_MINUTES = 5;
+
+/**
+ * Get the configured source folders as { id, label, meetingConfigs } entries
+ * CONFIG.SOURCE_FOLDERS entries may be folder IDs or objects; SOURCE_FOLDER_ID is used when it isn't set
+ * meetingConfigs (optional) limits a folder to the listed meeting prefixes
+ */
+function getSourceFolders() {
+  const folders = CONFIG.SOURCE_FOLDERS && CONFIG.SOURCE_FOLDERS.length > 0
+    ? CONFIG.SOURCE_FOLDERS
+    : [CONFIG.SOURCE_FOLDER_ID];
+  
+  return folders.map(folder => {
+    if (typeof folder === 'string') {
+      return { id: folder, label: folder, meetingConfigs: null };
+    }
+    return {
+      id: folder.id,
+      label: folder.label || folder.id,
+      meetingConfigs: folder.meetingConfigs || null
+    };
+  });
+}
+
+/**
+ * Load the scan checkpoints per source folder and the files still waiting in them
+ */
+function loadScanState() {
+  const properties = PropertiesService.getScriptProperties();
+  const storedCheckpoints = properties.getProperty(SCAN_CHECKPOINT_PROPERTY);
+  const checkpoints = {};
+  let pendingFiles = [];
+  
+  try {
+    if (storedCheckpoints && storedCheckpoints.startsWith('{')) {
+      Object.entries(JSON.parse(storedCheckpoints)).forEach(([folderId, checkpoint]) => {
+        checkpoints[folderId] = new Date(checkpoint);
+      });
+    } else if (storedCheckpoints) {
+      // Single checkpoint saved before multiple source folders were supported
+      checkpoints[CONFIG.SOURCE_FOLDER_ID] = new Date(storedCheckpoints);
+    }
+    
+    pendingFiles = JSON.parse(properties.getProperty(PENDING_FILES_PROPERTY) || '[]').map(entry =>
+      typeof entry === 'string' ? { id: entry, folderId: CONFIG.SOURCE_FOLDER_ID } : entry
+    );
+  } catch (parseError) {
+    console.error('Corrupted scan state - the next scan will rebuild it:', parseError);
+  }
+  
+  return {
+    checkpoints,
+    pendingFiles
+  };
+}
+
+/**
+ * Persist checkpoints for the folders scanned this run along with files that weren't moved yet
+ * heldFileIds lists pending files left in a target folder, which are re-checked outside their source folder
+ * Folders that couldn't be scanned keep their previous checkpoint
+ * Debug runs never advance the checkpoints
+ */
+function saveScanState(runStartedAt, scannedFolderIds, pendingFiles, heldFileIds = new Set()) {
+  if (CONFIG.DEBUG_MODE) {
+    console.log(`🐛 DEBUG: Would save scan checkpoint ${runStartedAt.toISOString()} for ${scannedFolderIds.length} folders with ${pendingFiles.length} pending files`);
+    return;
+  }
+  
+  const checkpoint = new Date(runStartedAt.getTime() - SCAN_CHECKPOINT_OVERLAP_MINUTES * 60 * 1000);
+  const checkpoints = {};
+  Object.entries(loadScanState().checkpoints).forEach(([folderId, previous]) => {
+    checkpoints[folderId] = previous.toISOString();
+  });
+  scannedFolderIds.forEach(folderId => {
+    checkpoints[folderId] = checkpoint.toISOString();
+  });
+  
+  PropertiesService.getScriptProperties().setProperties({
+    [SCAN_CHECKPOINT_PROPERTY]: JSON.stringify(checkpoints),
+    [PENDING_FILES_PROPERTY]: JSON.stringify(pendingFiles.map(file => ({ id: file.id, folderId: file.sourceFolderId, held: Boolean(file.held) || heldFileIds.has(file.id) })))
+  });
+  console.log(`Saved scan checkpoint ${checkpoint.toISOString()} for ${scannedFolderIds.length} folders with ${pendingFiles.length} pending files`);
+}
+
+/**
+ * Build the Drive search query for files modified since the checkpoint
+ */
+function buildScanQuery(checkpoint) {
+  let query = 'trashed = false';
+  if (checkpoint) {
+    const since = Utilities.formatDate(checkpoint, 'UTC', "yyyy-MM-dd'T'HH:mm:ss");
+    query += ` and modifiedDate > '${since}'`;
+  }
+  return query;
+}
+
+/**
+ * Convert a Drive file into the file data used by the organizer (metadata only)
+ */
+function toMeetingFileData(file, sourceFolder) {
+  return {
+    id: file.getId(),
+    title: file.getName(),
+    webViewLink: file.getUrl(),
+    mimeType: file.getMimeType(),
+    createdAt: file.getDateCreated(),
+    sourceFolderId: sourceFolder.id,
+    sourceFolderLabel: sourceFolder.label
+  };
+}
+
+/**
+ * Check whether a file still lives directly in the given folder
+ */
+function isFileInFolder(file, folderId) {
+  const parents = file.getParents();
+  while (parents.hasNext()) {
+    if (parents.next().getId() === folderId) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check whether a file name matches a meeting config accepted from this source folder
+ */
+function isAcceptedFromFolder(fileName, sourceFolder) {
+  const match = findMatchingConfig(fileName);
+  if (!match) {
+    return false;
+  }
+  return !sourceFolder.meetingConfigs || sourceFolder.meetingConfigs.includes(match.prefix);
+}
+
+/**
+ * Find files in the source folders that match configured meeting patterns
+ * Only files modified since each folder's checkpoint are searched; files that were
+ * matched before but not moved yet (e.g. waiting for their pair) are re-checked by ID
+ * Returns the merged files and the IDs of the folders that were scanned successfully
+ */
+function findMeetingFiles() {
+  const filesById = {};
+  const scannedFolderIds = [];
+  const sourceFolders = getSourceFolders();
+  const scanState = loadScanState();
+  
+  sourceFolders.forEach(sourceFolder => {
+    const checkpoint = scanState.checkpoints[sourceFolder.id] || null;
+    console.log(checkpoint
+      ? `Searching "${sourceFolder.label}" for files modified since ${checkpoint.toISOString()}`
+      : `No scan checkpoint yet for "${sourceFolder.label}" - searching the whole folder`);
+    
+    try {
+      const newFiles = DriveApp.getFolderById(sourceFolder.id).searchFiles(buildScanQuery(checkpoint));
+      while (newFiles.hasNext()) {
+        const file = newFiles.next();
+        
+        // Check if file matches any configured meeting prefix
+        if (isAcceptedFromFolder(file.getName(), sourceFolder)) {
+          filesById[file.getId()] = toMeetingFileData(file, sourceFolder);
+        }
+      }
+      scannedFolderIds.push(sourceFolder.id);
+    } catch (error) {
+      console.error(`Failed to scan source folder "${sourceFolder.label}" (${sourceFolder.id}):`, error);
+      sendErrorNotification(`Failed to scan source folder "${sourceFolder.label}" (${sourceFolder.id}): ${error.toString()}`);
+    }
+  });
+  
+  // Re-check files that were still waiting in a source folder last run
+  // Held files were left in their target folder by a failed group move and are retried with their group
+  scanState.pendingFiles.forEach(pending => {
+    const sourceFolder = sourceFolders.find(folder => folder.id === pending.folderId);
+    if (filesById[pending.id] || !sourceFolder) {
+      return;
+    }
+    try {
+      const file = DriveApp.getFileById(pending.id);
+      if (!file.isTrashed() && (pending.held || isFileInFolder(file, sourceFolder.id)) && isAcceptedFromFolder(file.getName(), sourceFolder)) {
+        filesById[pending.id] = { ...toMeetingFileData(file, sourceFolder), held: Boolean(pending.held) };
+      }
+    } catch (error) {
+      console.log(`Pending file ${pending.id} is no longer accessible - dropping it:`, error.message);
+    }
+  });
+  
+  return {
+    files: Object.values(filesById),
+    scannedFolderIds
+  };
+}
+
+
+// Script property prefix for the processing ledger shards (organizer_ledger_shard_0, _1, ...)
+// Records are keyed by Drive file ID and packed into a few JSON shards, like the calendar
+// notifier's notification ledger, so history never needs one property per file
+const LEDGER_SHARD_PROPERTY_PREFIX = 'organizer_ledger_shard_';
+const LEDGER_SHARD_SIZE = 8000;
+
+// Older versions stored one organizer_ledger_<fileId> property per file
+const LEGACY_LEDGER_PROPERTY_PREFIX = 'organizer_ledger_';
+
+// How long finished ledger records are kept, and how often a failed announcement is retried
+const LEDGER_RETENTION_DAYS = 30;
+const MAX_NOTIFY_ATTEMPTS = 10;
+
+// Shards of the ledger loaded this execution: { shards: { propertyKey: { fileId: record } }, shardKeys: { fileId: propertyKey } }
+let ledgerStorage = null;
+
+/**
+ * Load the processing ledger: one record per Drive file ID with its occurrence,
+ * when it was moved and when its occurrence was announced
+ * Per-file records from older versions are moved into the shards
+ */
+function loadLedger() {
+  const ledger = {};
+  const legacyRecords = {};
+  const legacyKeys = [];
+  ledgerStorage = { shards: {}, shardKeys: {} };
+  const allProperties = PropertiesService.getScriptProperties().getProperties();
+  
+  for (const [key, value] of Object.entries(allProperties)) {
+    if (!key.startsWith(LEGACY_LEDGER_PROPERTY_PREFIX)) {
+      continue;
+    }
+    if (!key.startsWith(LEDGER_SHARD_PROPERTY_PREFIX)) {
+      legacyKeys.push(key);
+    }
+    
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (parseError) {
+      console.error(`Corrupted ledger property ${key} - ignoring it`);
+      continue;
+    }
+    
+    if (key.startsWith(LEDGER_SHARD_PROPERTY_PREFIX)) {
+      ledgerStorage.shards[key] = parsed;
+      for (const [fileId, record] of Object.entries(parsed)) {
+        ledger[fileId] = record;
+        ledgerStorage.shardKeys[fileId] = key;
+      }
+    } else {
+      legacyRecords[key.substring(LEGACY_LEDGER_PROPERTY_PREFIX.length)] = parsed;
+    }
+  }
+  
+  const legacyFileIds = Object.keys(legacyRecords).filter(fileId => !ledger[fileId]);
+  legacyFileIds.forEach(fileId => {
+    ledger[fileId] = legacyRecords[fileId];
+  });
+  
+  if (legacyKeys.length > 0 && !CONFIG.DEBUG_MODE) {
+    saveLedgerRecords(ledger, legacyFileIds);
+    const properties = PropertiesService.getScriptProperties();
+    legacyKeys.forEach(key => properties.deleteProperty(key));
+    console.log(`Moved ${legacyFileIds.length} per-file ledger records into ledger shards`);
+  }
+  
+  return ledger;
+}
+
+/**
+ * Write the given files' records into the shard that holds them or the first one with room
+ * Files no longer in the ledger are removed from their shards; empty shards are deleted
+ */
+function saveLedgerRecords(ledger, fileIds) {
+  const { shards, shardKeys } = ledgerStorage;
+  const changedShards = new Set();
+  
+  fileIds.forEach(fileId => {
+    if (shardKeys[fileId]) {
+      delete shards[shardKeys[fileId]][fileId];
+      changedShards.add(shardKeys[fileId]);
+      delete shardKeys[fileId];
+    }
+    if (!ledger[fileId]) {
+      return;
+    }
+    
+    const entrySize = fileId.length + JSON.stringify(ledger[fileId]).length + 4;
+    let shardKey = Object.keys(shards).find(key => JSON.stringify(shards[key]).length + entrySize <= LEDGER_SHARD_SIZE);
+    if (!shardKey) {
+      let index = 0;
+      while (shards[LEDGER_SHARD_PROPERTY_PREFIX + index]) {
+        index++;
+      }
+      shardKey = LEDGER_SHARD_PROPERTY_PREFIX + index;
+      shards[shardKey] = {};
+    }
+    
+    shards[shardKey][fileId] = ledger[fileId];
+    shardKeys[fileId] = shardKey;
+    changedShards.add(shardKey);
+  });
+  
+  const properties = PropertiesService.getScriptProperties();
+  const updates = {};
+  changedShards.forEach(shardKey => {
+    if (Object.keys(shards[shardKey]).length === 0) {
+      properties.deleteProperty(shardKey);
+      delete shards[shardKey];
+    } else {
+      updates[shardKey] = JSON.stringify(shards[shardKey]);
+    }
+  });
+  
+  if (Object.keys(updates).length > 0) {
+    properties.setProperties(updates);
+  }
+}
+
+/**
+ * Merge changes into the ledger records of the given files and persist them
+ * changes may be an object or a function returning the changes for each file ID
+ * Debug runs never write to the ledger
+ */
+function updateLedger(ledger, fileIds, changes) {
+  if (CONFIG.DEBUG_MODE || fileIds.length === 0) {
+    return;
+  }
+  
+  fileIds.forEach(fileId => {
+    const fileChanges = typeof changes === 'function' ? changes(fileId) : changes;
+    ledger[fileId] = {
+      ...(ledger[fileId] || {}),
+      ...fileChanges,
+      updatedAt: new Date().toISOString()
+    };
+  });
+  
+  saveLedgerRecords(ledger, fileIds);
+}
+
+/**
+ * Record files that were moved for an occurrence
+ */
+function recordMovedFiles(ledger, groupKey, groupData, movedFiles, announceFolder) {
+  const filesById = {};
+  movedFiles.forEach(fileData => {
+    filesById[fileData.id] = fileData;
+  });
+  
+  updateLedger(ledger, Object.keys(filesById), fileId => ({
+    occurrence: groupKey,
+    prefix: groupData.prefix,
+    artifactType: filesById[fileId].artifactType,
+    needsNotification: !groupData.isChat && !groupData.lateFor,
+    missingArtifacts: groupData.missingArtifacts || null,
+    meetingTime: groupData.occurrence.meetingTime ? groupData.occurrence.meetingTime.toISOString() : null,
+    folderId: announceFolder ? announceFolder.getId() : null,
+    movedAt: new Date().toISOString()
+  }));
+}
+
+/**
+ * Remove ledger records for occurrences that finished more than LEDGER_RETENTION_DAYS ago
+ */
+function pruneLedger(ledger) {
+  if (CONFIG.DEBUG_MODE) {
+    return;
+  }
+  
+  const cutoff = Date.now() - LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const prunedFileIds = [];
+  
+  for (const [fileId, record] of Object.entries(ledger)) {
+    const finishedAt = record.notifiedAt || record.notifyAbandonedAt || (!record.needsNotification && record.movedAt);
+    if (finishedAt && new Date(finishedAt).getTime() < cutoff) {
+      delete ledger[fileId];
+      prunedFileIds.push(fileId);
+    }
+  }
+  
+  const prunedCount = prunedFileIds.length;
+  if (prunedCount > 0) {
+    saveLedgerRecords(ledger, prunedFileIds);
+    console.log(`Pruned ${prunedCount} ledger records older than ${LEDGER_RETENTION_DAYS} days`);
+  }
+}
+
+/**
+ * Retry announcements for occurrences whose files were moved but never announced
+ */
+function resumeUnfinishedAnnouncements(ledger) {
+  const unfinished = {};
+  
+  for (const [fileId, record] of Object.entries(ledger)) {
+    if (record.movedAt && record.needsNotification && !record.notifiedAt && !record.notifyAbandonedAt) {
+      if (!unfinished[record.occurrence]) {
+        unfinished[record.occurrence] = { record, fileIds: [] };
+      }
+      unfinished[record.occurrence].fileIds.push(fileId);
+    }
+  }
+  
+  for (const [groupKey, { record, fileIds }] of Object.entries(unfinished)) {
+    const config = CONFIG.MEETING_CONFIGS[record.prefix];
+    if (!config) {
+      console.log(`No meeting config for "${record.prefix}" anymore - cannot retry announcement for "${groupKey}"`);
+      continue;
+    }
+    
+    console.log(`Retrying announcement for "${groupKey}" (attempt ${(record.notifyAttempts || 0) + 1})`);
+    try {
+      const files = fileIds.map(fileId => {
+        const file = DriveApp.getFileById(fileId);
+        return {
+          id: fileId,
+          title: file.getName(),
+          webViewLink: file.getUrl(),
+          artifactType: ledger[fileId].artifactType
+        };
+      });
+      const announcement = {
+        missingArtifacts: record.missingArtifacts,
+        folder: record.folderId ? DriveApp.getFolderById(record.folderId) : null,
+        prefix: record.prefix,
+        meetingTime: record.meetingTime ? new Date(record.meetingTime) : null
+      };
+      
+      announceOccurrence(groupKey, config, files, announcement, ledger);
+    } catch (error) {
+      console.error(`Failed to retry announcement for "${groupKey}":`, error);
+    }
+  }
+}
+
+/**
+ * Announce an occurrence's files in Slack and record the outcome in the ledger
+ * Failed announcements are retried on later runs, up to MAX_NOTIFY_ATTEMPTS
+ */
+function announceOccurrence(groupKey, config, files, announcement, ledger) {
+  const notesFile = files.find(file => file.artifactType === 'notes');
+  if (notesFile && shouldIncludeGeminiSummary(config)) {
+    announcement.geminiSummary = extractGeminiSummary(notesFile);
+  }
+  
+  if (CONFIG.DEBUG_MODE) {
+    sendDebugSlackNotification(groupKey, config, files, announcement);
+    return;
+  }
+  
+  const fileIds = files.map(file => file.id);
+  
+  // Targets that got the announcement on an earlier attempt are not posted to again
+  const alreadyNotified = new Set();
+  fileIds.forEach(fileId => {
+    ((ledger[fileId] && ledger[fileId].notifiedTargets) || []).forEach(key => alreadyNotified.add(key));
+  });
+  
+  const delivery = sendConfiguredSlackNotification(groupKey, config, files, announcement, alreadyNotified);
+  if (delivery.ok) {
+    updateLedger(ledger, fileIds, { notifiedAt: new Date().toISOString(), notifiedTargets: delivery.notifiedTargets });
+    return;
+  }
+  
+  const previousAttempts = Math.max(...fileIds.map(fileId => (ledger[fileId] && ledger[fileId].notifyAttempts) || 0));
+  const attempts = previousAttempts + 1;
+  const changes = { notifyAttempts: attempts, notifiedTargets: delivery.notifiedTargets };
+  
+  if (attempts >= MAX_NOTIFY_ATTEMPTS) {
+    changes.notifyAbandonedAt = new Date().toISOString();
+    sendErrorNotification(`Giving up announcing "${groupKey}" to ${config.slackChannel} after ${attempts} failed attempts`);
+  } else if (attempts === 1) {
+    sendErrorNotification(`Failed to announce "${groupKey}" to ${config.slackChannel} - will retry on the next runs`);
+  }
+  
+  updateLedger(ledger, fileIds, changes);
+}
+
+/**
+ * Find matching configuration for a file title
+ * Matching rules are shared with the calendar notifier (see meeting-matcher.js)
+ */
+function findMatchingConfig(title) {
+  const match = matchMeetingTitle(title);
+  if (!match) {
+    return null;
+  }
+  return { prefix: match.prefix, config: match.config, isChat: title.includes('Chat') };
+}
+
+/**
+ * Identify which Meet artifact a file is from its title
+ */
+function getArtifactType(title) {
+  if (title.includes('Notes by Gemini')) {
+    return 'notes';
+  }
+  if (title.includes('Recording')) {
+    return 'recording';
+  }
+  if (title.includes('Transcript')) {
+    return 'transcript';
+  }
+  if (title.includes('Chat')) {
+    return 'chat';
+  }
+  return 'other';
+}
+
+// Meet stamps file names either as "(2025-09-18 10:00 GMT-7)" or "2025/09/18 10:00 PDT"
+const MEET_TIMESTAMP_PATTERN = /(\d{4})[-\/](\d{2})[-\/](\d{2})(?:\s+at)?\s+(\d{1,2}):(\d{2})(?:\s+(?:GMT|UTC)([+-]\d{1,2})(?::?(\d{2}))?|\s+([A-Z]{2,5})\b)?/;
+
+// UTC offsets (in minutes) for the zone abbreviations Meet uses in file names
+const TIME_ZONE_ABBREVIATIONS = {
+  UTC: 0, GMT: 0,
+  PST: -480, PDT: -420,
+  MST: -420, MDT: -360,
+  CST: -360, CDT: -300,
+  EST: -300, EDT: -240,
+  BST: 60, CET: 60, CEST: 120,
+  IST: 330, JST: 540
+};
+
+/**
+ * Parse the meeting date/time stamp Meet puts in file names
+ * Returns a Date, or null if the title has no recognizable stamp
+ */
+function parseMeetingTimestamp(title) {
+  const match = title.match(MEET_TIMESTAMP_PATTERN);
+  if (!match) {
+    return null;
+  }
+  
+  const [, year, month, day, hour, minute, gmtHours, gmtMinutes, abbreviation] = match;
+  
+  let offsetMinutes = null;
+  if (gmtHours !== undefined) {
+    const sign = gmtHours.startsWith('-') ? -1 : 1;
+    offsetMinutes = parseInt(gmtHours, 10) * 60 + sign * parseInt(gmtMinutes || '0', 10);
+  } else if (abbreviation && TIME_ZONE_ABBREVIATIONS.hasOwnProperty(abbreviation)) {
+    offsetMinutes = TIME_ZONE_ABBREVIATIONS[abbreviation];
+  }
+  
+  if (offsetMinutes === null) {
+    // Unknown zone - interpret the stamp in the script's time zone
+    return new Date(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute));
+  }
+  
+  const utcMillis = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute));
+  return new Date(utcMillis - offsetMinutes * 60 * 1000);
+}
+
+/**
+ * Format a meeting time as a short, human-readable occurrence label
+ */
+function formatOccurrenceLabel(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm');
+}
+
+/**
+ * Split the files of one meeting config into individual meeting occurrences
+ * Files whose stamps fall within OCCURRENCE_WINDOW_MINUTES of the first file of an
+ * occurrence belong to that occurrence (Recording and Gemini notes rarely share the exact minute)
+ * Files without a stamp are only paired when their creation times fall within the same window
+ */
+function splitIntoOccurrences(files) {
+  const windowMillis = (CONFIG.OCCURRENCE_WINDOW_MINUTES || 60) * 60 * 1000;
+  const occurrences = [];
+  const undatedFiles = [];
+  
+  const datedFiles = files
+    .filter(file => {
+      if (!file.meetingTime) {
+        undatedFiles.push(file);
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => a.meetingTime - b.meetingTime);
+  
+  let current = null;
+  datedFiles.forEach(file => {
+    if (!current || file.meetingTime - current.meetingTime > windowMillis) {
+      current = {
+        label: formatOccurrenceLabel(file.meetingTime),
+        meetingTime: file.meetingTime,
+        files: []
+      };
+      occurrences.push(current);
+    }
+    current.files.push(file);
+  });
+  
+  if (undatedFiles.length > 0) {
+    console.log(`${undatedFiles.length} file(s) have no recognizable date stamp - pairing them by creation time`);
+  }
+  
+  let currentUndated = null;
+  undatedFiles
+    .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0))
+    .forEach(file => {
+      const createdAt = file.createdAt ? new Date(file.createdAt) : null;
+      if (!currentUndated || !createdAt || !currentUndated.createdAt ||
+          createdAt - currentUndated.createdAt > windowMillis) {
+        currentUndated = {
+          label: createdAt ? `undated, created ${formatOccurrenceLabel(createdAt)}` : `undated ${file.id}`,
+          meetingTime: null,
+          createdAt,
+          files: []
+        };
+        occurrences.push(currentUndated);
+      }
+      currentUndated.files.push(file);
+    });
+  
+  return occurrences;
+}
+
+/**
+ * Get the grace period (in hours) after which an incomplete pair is processed anyway
+ * Returns null when no grace period is configured (wait indefinitely)
+ */
+function getIncompleteGraceHours(config) {
+  if (typeof config.incompleteGraceHours === 'number') {
+    return config.incompleteGraceHours;
+  }
+  if (typeof CONFIG.INCOMPLETE_GRACE_HOURS === 'number') {
+    return CONFIG.INCOMPLETE_GRACE_HOURS;
+  }
+  return null;
+}
+
+/**
+ * Get how many whole hours have passed since the oldest file in a group was created
+ */
+function getHoursSinceOldestFile(files) {
+  const createdTimes = files
+    .filter(file => file.createdAt)
+    .map(file => new Date(file.createdAt).getTime());
+  
+  if (createdTimes.length === 0) {
+    return 0;
+  }
+  
+  return Math.floor((Date.now() - Math.min(...createdTimes)) / (1000 * 60 * 60));
+}
+
+/**
+ * Find the ledger occurrence an incomplete group's files belong to when that occurrence
+ * was already moved (e.g. released without them after the grace period)
+ * Returns the ledger occurrence key, or null when there is none
+ */
+function findMovedOccurrence(ledger, prefix, occurrence) {
+  if (!ledger || !occurrence.meetingTime) {
+    return null;
+  }
+  
+  const windowMillis = (CONFIG.OCCURRENCE_WINDOW_MINUTES || 60) * 60 * 1000;
+  const occurrenceFileIds = new Set(occurrence.files.map(file => file.id));
+  
+  for (const [fileId, record] of Object.entries(ledger)) {
+    if (occurrenceFileIds.has(fileId) || record.prefix !== prefix || !record.movedAt ||
+        !record.needsNotification || !record.meetingTime) {
+      continue;
+    }
+    if (Math.abs(new Date(record.meetingTime) - occurrence.meetingTime) <= windowMillis) {
+      return record.occurrence;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Group files by meeting configuration and occurrence, handling Chat files separately
+ * Each returned group covers exactly one meeting occurrence
+ * Incomplete groups whose occurrence was already moved are released right away as late halves
+ */
+function groupFilesByMeetingConfig(files, ledger) {
+  const filesByPrefix = {};
+  
+  files.forEach(file => {
+    const match = findMatchingConfig(file.title);
+    if (match) {
+      const { prefix, config } = match;
+      
+      if (!filesByPrefix[prefix]) {
+        filesByPrefix[prefix] = {
+          config,
+          files: []
+        };
+      }
+      filesByPrefix[prefix].files.push({
+        ...file,
+        artifactType: getArtifactType(file.title),
+        meetingTime: parseMeetingTimestamp(file.title)
+      });
+    }
+  });
+  
+  const completeGroups = {};
+  for (const [prefix, prefixData] of Object.entries(filesByPrefix)) {
+    splitIntoOccurrences(prefixData.files).forEach(occurrence => {
+      const groupKey = `${prefix} @ ${occurrence.label}`;
+      const chatFiles = occurrence.files.filter(file => file.artifactType === 'chat');
+      const meetingFiles = occurrence.files.filter(file => file.artifactType !== 'chat');
+      
+      // Regular files need both "Notes by Gemini" and "Recording" from the same occurrence
+      if (meetingFiles.length > 0) {
+        const hasNotes = meetingFiles.some(file => file.artifactType === 'notes');
+        const hasRecording = meetingFiles.some(file => file.artifactType === 'recording');
+        
+        if (hasNotes && hasRecording) {
+          completeGroups[groupKey] = {
+            prefix,
+            config: prefixData.config,
+            occurrence,
+            files: meetingFiles
+          };
+          console.log(`Complete pair found for "${groupKey}": ${meetingFiles.length} files`);
+        } else {
+          const graceHours = getIncompleteGraceHours(prefixData.config);
+          const waitingHours = getHoursSinceOldestFile(meetingFiles);
+          const lateFor = findMovedOccurrence(ledger, prefix, occurrence);
+          
+          if (lateFor) {
+            completeGroups[groupKey] = {
+              prefix,
+              config: prefixData.config,
+              occurrence,
+              files: meetingFiles,
+              lateFor
+            };
+            console.log(`Late files for "${groupKey}" - "${lateFor}" was already moved without them`);
+          } else if (graceHours !== null && waitingHours >= graceHours) {
+            const missingArtifacts = [];
+            if (!hasNotes) {
+              missingArtifacts.push('Notes by Gemini');
+            }
+            if (!hasRecording) {
+              missingArtifacts.push('Recording');
+            }
+            
+            completeGroups[groupKey] = {
+              prefix,
+              config: prefixData.config,
+              occurrence,
+              files: meetingFiles,
+              missingArtifacts,
+              waitingHours
+            };
+            console.log(`Incomplete pair for "${groupKey}" exceeded ${graceHours}h grace period (waited ${waitingHours}h) - processing without ${missingArtifacts.join(' and ')}`);
+          } else {
+            console.log(`Incomplete pair for "${groupKey}" - Notes: ${hasNotes}, Recording: ${hasRecording} - skipping until both are available`);
+          }
+        }
+      }
+      
+      // Chat files don't need pairs
+      if (chatFiles.length > 0) {
+        console.log(`Chat files found for "${groupKey}": ${chatFiles.length} files`);
+        completeGroups[`${groupKey} (chat)`] = {
+          prefix,
+          config: prefixData.config,
+          occurrence,
+          files: chatFiles,
+          isChat: true
+        };
+      }
+    });
+  }
+  
+  return completeGroups;
+}
+
+/**
+ * Get the dated subfolder layout for a meeting config (e.g. "YYYY/YYYY-MM-DD")
+ * Returns null when files go straight into the target folder
+ */
+function getFolderLayout(config) {
+  return config.folderLayout || CONFIG.DEFAULT_FOLDER_LAYOUT || null;
+}
+
+/**
+ * Expand YYYY, MM and DD tokens in a folder layout for the given date
+ */
+function formatFolderLayout(layout, date) {
+  const formats = { YYYY: 'yyyy', MM: 'MM', DD: 'dd' };
+  return layout.replace(/YYYY|MM|DD/g, token =>
+    Utilities.formatDate(date, Session.getScriptTimeZone(), formats[token])
+  );
+}
+
+/**
+ * Find a subfolder by name, creating it if it doesn't exist yet
+ * In debug mode nothing is created and null is returned for missing folders
+ */
+function getOrCreateSubfolder(parent, name) {
+  const existing = parent.getFoldersByName(name);
+  if (existing.hasNext()) {
+    return existing.next();
+  }
+  
+  if (CONFIG.DEBUG_MODE) {
+    console.log(`🐛 DEBUG: Would create subfolder "${name}" in ${parent.getName()}`);
+    return null;
+  }
+  
+  console.log(`Creating subfolder "${name}" in ${parent.getName()}`);
+  return parent.createFolder(name);
+}
+
+/**
+ * Get target folder from exact folder ID, descending into the dated
+ * subfolder for this occurrence when a folder layout is configured
+ */
+function getTargetFolder(config, occurrence) {
+  const baseFolder = DriveApp.getFolderById(config.targetFolderId);
+  const layout = getFolderLayout(config);
+  
+  if (!layout) {
+    return baseFolder;
+  }
+  
+  // Undated occurrences are filed under the day they were processed
+  const meetingDate = (occurrence && occurrence.meetingTime) || new Date();
+  const segments = formatFolderLayout(layout, meetingDate).split('/').filter(segment => segment.trim());
+  
+  let folder = baseFolder;
+  for (const segment of segments) {
+    const subfolder = getOrCreateSubfolder(folder, segment.trim());
+    if (!subfolder) {
+      // Debug mode: stop at the deepest folder that already exists
+      return folder;
+    }
+    folder = subfolder;
+  }
+  
+  return folder;
+}
+
+
+// Display names used for the {type} placeholder in file name templates
+const ARTIFACT_TYPE_NAMES = {
+  notes: 'Notes by Gemini',
+  recording: 'Recording',
+  transcript: 'Transcript',
+  chat: 'Chat'
+};
+
+/**
+ * Get the file name template for a meeting config (e.g. "{date} {sig} - {type}")
+ * Returns null when files keep the names Meet gave them
+ */
+function getFileNameTemplate(config) {
+  return config.fileNameTemplate || CONFIG.DEFAULT_FILE_NAME_TEMPLATE || null;
+}
+
+/**
+ * Build the canonical name for a meeting file from the configured template
+ * Returns null if the file should keep its current name
+ */
+function getCanonicalFileName(fileData, groupData) {
+  const template = getFileNameTemplate(groupData.config);
+  const typeName = ARTIFACT_TYPE_NAMES[fileData.artifactType];
+  
+  // Only rename recognized Meet artifacts with a parsed date stamp
+  if (!template || !typeName || !fileData.meetingTime) {
+    return null;
+  }
+  
+  const timeZone = Session.getScriptTimeZone();
+  const values = {
+    date: Utilities.formatDate(fileData.meetingTime, timeZone, 'yyyy-MM-dd'),
+    time: Utilities.formatDate(fileData.meetingTime, timeZone, 'HH:mm'),
+    sig: extractSigName(groupData.prefix),
+    type: typeName,
+    prefix: groupData.prefix
+  };
+  
+  let name = template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    values.hasOwnProperty(key) ? values[key] : placeholder
+  );
+  
+  // Keep any file extension Meet added (e.g. chat logs)
+  const extension = fileData.title.match(/\.[A-Za-z0-9]{2,4}$/);
+  if (extension) {
+    name += extension[0];
+  }
+  
+  return name === fileData.title ? null : name;
+}
+
+/**
+ * Rename moved files to their canonical names, keeping the original name in the description
+ * Returns the file data with updated titles
+ */
+function renameMeetingFiles(files, groupData) {
+  return files.map(fileData => {
+    const canonicalName = getCanonicalFileName(fileData, groupData);
+    if (!canonicalName) {
+      return fileData;
+    }
+    
+    try {
+      const file = DriveApp.getFileById(fileData.id);
+      const description = file.getDescription();
+      const originalNote = `Original name: ${fileData.title}`;
+      
+      file.setDescription(description ? `${description}\n${originalNote}` : originalNote);
+      file.setName(canonicalName);
+      
+      console.log(`Renamed file: ${fileData.title} -> ${canonicalName}`);
+      return { ...fileData, title: canonicalName, originalTitle: fileData.title };
+    } catch (error) {
+      console.error(`Failed to rename file ${fileData.title}:`, error);
+      return fileData;
+    }
+  });
 }
 
 /**
- * Find all files in the source folder that match configured meeting patterns
+ * Log file move operations without actually moving files (debug mode)
  */
-function findMeetingFiles() {
-  const files = [];
-  const sourceFolder = DriveApp.getFolderById(CONFIG.SOURCE_FOLDER_ID);
-  const allFiles = sourceFolder.getFiles();
+function logFileMoveOperations(files, folder, configKey) {
+  console.log(`🐛 DEBUG: Would move ${files.length} files for "${configKey}"`);
+  console.log(`🐛 DEBUG: Target folder: ${folder.getName()} (${folder.getId()})`);
   
-  while (allFiles.hasNext()) {
-    const file = allFiles.next();
-    const fileName = file.getName();
-    
-    // Check if file matches any configured meeting prefix
-    const matchingConfig = findMatchingConfig(fileName);
-    if (matchingConfig) {
-      files.push({
-        id: file.getId(),
-        title: fileName,
-        webViewLink: file.getUrl(),
-        mimeType: file.getBlob().getContentType()
-      });
-    }
+  files.forEach((fileData, index) => {
+    const movePath = isSharedDriveMove(fileData.sourceFolderId, folder.getId()) ? 'Shared Drive (moveTo)' : 'My Drive (remove/add parents)';
+    console.log(`🐛 DEBUG: [${index + 1}/${files.length}] Would move file: ${fileData.title}`);
+    console.log(`🐛 DEBUG:   - File ID: ${fileData.id}`);
+    console.log(`🐛 DEBUG:   - From: ${fileData.sourceFolderLabel} via ${movePath}`);
+  });
+}
+
+// Shared Drive ID per folder ID ('' for My Drive), cached for the current run
+const sharedDriveIdCache = {};
+
+/**
+ * Look up which Shared Drive a folder lives in using the advanced Drive service
+ * Returns an empty string for folders in My Drive
+ */
+function getSharedDriveId(folderId) {
+  if (sharedDriveIdCache.hasOwnProperty(folderId)) {
+    return sharedDriveIdCache[folderId];
+  }
+  
+  let driveId = '';
+  try {
+    const folder = Drive.Files.get(folderId, { supportsAllDrives: true, fields: 'id,driveId' });
+    driveId = folder.driveId || '';
+  } catch (error) {
+    console.error(`Could not look up drive for folder ${folderId} (is the Drive API service enabled?) - assuming My Drive:`, error);
   }
   
-  return files;
+  sharedDriveIdCache[folderId] = driveId;
+  return driveId;
 }
 
+/**
+ * Check whether moving between two folders involves a Shared Drive
+ */
+function isSharedDriveMove(sourceFolderId, targetFolderId) {
+  return Boolean(getSharedDriveId(sourceFolderId) || getSharedDriveId(targetFolderId));
+}
 
 /**
- * Find matching configuration for a file title
+ * Move a single file, picking the Shared-Drive-aware path when needed
+ * Shared Drive files have exactly one parent, so they must be moved with moveTo
+ * rather than removed from every parent and re-added
  */
-function findMatchingConfig(title) {
-  for (const [prefix, config] of Object.entries(CONFIG.MEETING_CONFIGS)) {
-    if (title.includes(prefix)) {
-      return { prefix, config, isChat: title.includes('Chat') };
-    }
+function moveFile(file, folder, useSharedDriveMove) {
+  if (useSharedDriveMove) {
+    file.moveTo(folder);
+    return;
   }
-  return null;
+  
+  // Remove from all current parents
+  const parents = file.getParents();
+  while (parents.hasNext()) {
+    const parent = parents.next();
+    parent.removeFile(file);
+  }
+  
+  // Add to new folder
+  folder.addFile(file);
 }
 
 /**
- * Group files by their meeting configuration, handling Chat files separately
+ * Move files to the specified folder
+ * Returns { moved, failed } where failed lists { fileData, error } for each file that couldn't be moved
  */
-function groupFilesByMeetingConfig(files) {
-  const grouped = {};
-  const chatFiles = {};
+function moveFilesToFolder(files, folder) {
+  const movedFiles = [];
+  const failedFiles = [];
   
-  files.forEach(file => {
-    const match = findMatchingConfig(file.title);
-    if (match) {
-      const { prefix, config, isChat } = match;
+  files.forEach(fileData => {
+    try {
+      const file = DriveApp.getFileById(fileData.id);
+      const useSharedDriveMove = isSharedDriveMove(fileData.sourceFolderId, folder.getId());
+      moveFile(file, folder, useSharedDriveMove);
       
-      if (isChat) {
-        // Handle Chat files separately - they don't need pairs
-        if (!chatFiles[prefix]) {
-          chatFiles[prefix] = {
-            config,
-            files: [],
-            isChat: true
-          };
-        }
-        chatFiles[prefix].files.push(file);
-      } else {
-        // Handle regular files that need pairs
-        if (!grouped[prefix]) {
-          grouped[prefix] = {
-            config,
-            files: []
-          };
-        }
-        grouped[prefix].files.push(file);
-      }
+      console.log(`Moved file: ${fileData.title} (from ${fileData.sourceFolderLabel}${useSharedDriveMove ? ', Shared Drive move' : ''})`);
+      movedFiles.push(fileData);
+    } catch (error) {
+      console.error(`Failed to move file ${fileData.title} from ${fileData.sourceFolderLabel} (${fileData.sourceFolderId}):`, error);
+      failedFiles.push({ fileData, error });
     }
   });
   
-  // Filter out groups that don't have both "Notes by Gemini" and "Recording" files
-  const completeGroups = {};
-  for (const [prefix, groupData] of Object.entries(grouped)) {
-    const hasNotes = groupData.files.some(file => file.title.includes('Notes by Gemini'));
-    const hasRecording = groupData.files.some(file => file.title.includes('Recording'));
-    
-    if (hasNotes && hasRecording) {
-      completeGroups[prefix] = groupData;
-      console.log(`Complete pair found for "${prefix}": ${groupData.files.length} files`);
-    } else {
-      console.log(`Incomplete pair for "${prefix}" - Notes: ${hasNotes}, Recording: ${hasRecording} - skipping until both are available`);
+  return {
+    moved: movedFiles,
+    failed: failedFiles
+  };
+}
+
+/**
+ * Move files back to the source folders they came from after a partial group move
+ * Returns { rolledBack, held } where held lists { fileData, error } for files left in the target folder
+ */
+function rollBackMovedFiles(movedFiles, targetFolder) {
+  const rolledBack = [];
+  const held = [];
+  
+  movedFiles.forEach(fileData => {
+    try {
+      const file = DriveApp.getFileById(fileData.id);
+      const sourceFolder = DriveApp.getFolderById(fileData.sourceFolderId);
+      moveFile(file, sourceFolder, isSharedDriveMove(targetFolder.getId(), fileData.sourceFolderId));
+      
+      console.log(`Rolled back file: ${fileData.title} (to ${fileData.sourceFolderLabel})`);
+      rolledBack.push(fileData);
+    } catch (error) {
+      console.error(`Failed to roll back file ${fileData.title} - holding it in ${targetFolder.getName()}:`, error);
+      held.push({ fileData, error });
     }
-  }
+  });
+  
+  return {
+    rolledBack,
+    held
+  };
+}
+
+/**
+ * Build the announcement message listing the organized files (see message-templates.js)
+ * announcement.missingArtifacts switches to the "unavailable" variant for incomplete occurrences
+ * announcement.folder links the dated subfolder the files were moved into
+ * The target's templates can replace each variant (recording, recordingNoNotes, recordingNoRecording)
+ */
+function formatFilesAvailableMessage(config, files, announcement = {}, target = {}) {
+  const { missingArtifacts, folder, prefix, meetingTime } = announcement;
+  const templates = target.templates || {};
   
-  // Add all Chat files to complete groups (they don't need pairs)
-  for (const [prefix, chatData] of Object.entries(chatFiles)) {
-    console.log(`Chat files found for "${prefix}": ${chatData.files.length} files`);
-    completeGroups[prefix + '_chat'] = chatData;
+  let templateName = templates.recording || 'filesAvailable';
+  if (missingArtifacts && missingArtifacts.includes('Notes by Gemini')) {
+    templateName = templates.recordingNoNotes || 'filesAvailableNoNotes';
+  } else if (missingArtifacts && missingArtifacts.includes('Recording')) {
+    templateName = templates.recordingNoRecording || 'filesAvailableNoRecording';
   }
   
-  return completeGroups;
+  return renderMessageTemplate(templateName, config, {
+    ...getMeetingTemplateValues(prefix, config, prefix, meetingTime),
+    targetChannel: target.name || config.slackChannel || '',
+    files: files.map(file => `• <${file.webViewLink}|${file.title}>`).join('\n'),
+    driveFolder: folder ? formatSlackLink(folder.getUrl(), folder.getName()) : '',
+    driveFolderUrl: folder ? folder.getUrl() : ''
+  });
+}
+
+/**
+ * Check whether the Gemini summary should be included in the announcement for a meeting config
+ */
+function shouldIncludeGeminiSummary(config) {
+  if (typeof config.includeGeminiSummary === 'boolean') {
+    return config.includeGeminiSummary;
+  }
+  return Boolean(CONFIG.INCLUDE_GEMINI_SUMMARY);
 }
 
+// Section titles Gemini uses in its meeting notes docs (matched case-insensitively)
+const GEMINI_SECTIONS = {
+  summary: ['summary'],
+  nextSteps: ['suggested next steps', 'next steps', 'action items']
+};
+const GEMINI_OTHER_SECTIONS = ['details', 'transcript', 'attachments'];
+
 /**
- * Get target folder from exact folder ID
+ * Escape text for Slack mrkdwn
  */
-function getTargetFolder(config) {
-  return DriveApp.getFolderById(config.targetFolderId);
+function escapeSlackText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
 
+/**
+ * Shorten text to a maximum length at a word boundary
+ */
+function truncateText(text, maxLength) {
+  if (text.length <= maxLength) {
+    return { text, truncated: false };
+  }
+  // Don't leave half of an escaped entity (e.g. "&am") at the cut
+  const cut = text.substring(0, maxLength).replace(/&[a-z]*$/, '');
+  const lastSpace = cut.lastIndexOf(' ');
+  return {
+    text: (lastSpace > maxLength * 0.6 ? cut.substring(0, lastSpace) : cut).trim() + '…',
+    truncated: true
+  };
+}
 
 /**
- * Log file move operations without actually moving files (debug mode)
+ * Pull the Summary and "Suggested next steps" sections out of a "Notes by Gemini" doc
+ * Returns null if the doc can't be read or has neither section
  */
-function logFileMoveOperations(files, folder, configKey) {
-  console.log(`🐛 DEBUG: Would move ${files.length} files for "${configKey}"`);
-  console.log(`🐛 DEBUG: Target folder ID: ${folder.getId()}`);
+function extractGeminiSummary(notesFile) {
+  try {
+    const body = DocumentApp.openById(notesFile.id).getBody();
+    const sections = { summary: [], nextSteps: [] };
+    let currentSection = null;
+    
+    for (let i = 0; i < body.getNumChildren(); i++) {
+      const element = body.getChild(i);
+      const type = element.getType();
+      
+      if (type !== DocumentApp.ElementType.PARAGRAPH && type !== DocumentApp.ElementType.LIST_ITEM) {
+        continue;
+      }
+      
+      const text = element.asText().getText().trim();
+      if (!text) {
+        continue;
+      }
+      
+      const normalized = text.toLowerCase().replace(/:$/, '');
+      const sectionName = Object.keys(GEMINI_SECTIONS).find(name => GEMINI_SECTIONS[name].includes(normalized));
+      const isHeading = type === DocumentApp.ElementType.PARAGRAPH &&
+        element.asParagraph().getHeading() !== DocumentApp.ParagraphHeading.NORMAL;
+      
+      if (sectionName) {
+        currentSection = sectionName;
+      } else if (isHeading || GEMINI_OTHER_SECTIONS.includes(normalized)) {
+        currentSection = null;
+      } else if (currentSection) {
+        const line = escapeSlackText(text);
+        sections[currentSection].push(type === DocumentApp.ElementType.LIST_ITEM ? `• ${line}` : line);
+      }
+    }
+    
+    if (sections.summary.length === 0 && sections.nextSteps.length === 0) {
+      console.log(`No Summary or next steps found in ${notesFile.title}`);
+      return null;
+    }
+    
+    console.log(`Extracted Gemini summary from ${notesFile.title}`);
+    return {
+      summary: sections.summary.join('\n\n'),
+      nextSteps: sections.nextSteps.join('\n'),
+      url: notesFile.webViewLink
+    };
+  } catch (error) {
+    console.error(`Failed to read Gemini notes ${notesFile.title}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Build the extra Slack blocks for a Gemini summary, capped at GEMINI_SUMMARY_MAX_LENGTH per section
+ */
+function formatGeminiSummaryBlocks(geminiSummary) {
+  if (!geminiSummary) {
+    return [];
+  }
   
-  files.forEach((fileData, index) => {
-    console.log(`🐛 DEBUG: [${index + 1}/${files.length}] Would move file: ${fileData.title}`);
-    console.log(`🐛 DEBUG:   - File ID: ${fileData.id}`);
+  const maxLength = CONFIG.GEMINI_SUMMARY_MAX_LENGTH || 1500;
+  const blocks = [];
+  let truncated = false;
+  
+  const sections = [
+    { title: ':sparkles: *Summary*', text: geminiSummary.summary },
+    { title: ':white_check_mark: *Suggested next steps*', text: geminiSummary.nextSteps }
+  ];
+  
+  sections.forEach(section => {
+    if (!section.text) {
+      return;
+    }
+    const capped = truncateText(section.text, maxLength);
+    truncated = truncated || capped.truncated;
+    blocks.push({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `${section.title}\n${capped.text}`
+      }
+    });
   });
+  
+  if (truncated) {
+    blocks.push({
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `<${geminiSummary.url}|Read more in the Gemini notes>`
+        }
+      ]
+    });
+  }
+  
+  return blocks;
 }
 
 /**
- * Move files to the specified folder
+ * Send debug Slack notification to DEFAULT_WEBHOOK (your private channel)
+ * One test message is sent per notification target
  */
-function moveFilesToFolder(files, folder) {
-  files.forEach(fileData => {
+function sendDebugSlackNotification(configKey, config, files, announcement) {
+  getNotificationTargets(config, 'recording').forEach(target => {
+    console.log(`🐛 DEBUG: Would send notification to ${target.name} via ${target.transport === 'bot' ? 'bot token' : target.webhook}`);
+    console.log(`🐛 DEBUG: Instead sending test message to DEFAULT_WEBHOOK`);
+    
+    // Create the actual message that would be sent to the channel
+    const actualMessage = formatFilesAvailableMessage(config, files, announcement, target);
+    
+    const payload = {
+      text: `🐛 Debug mode test for ${target.name}`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `🐛 *Debug mode test* - This would be sent to ${target.name}:`
+          }
+        },
+        ...actualMessage.blocks,
+        ...formatGeminiSummaryBlocks(announcement && announcement.geminiSummary)
+      ]
+    };
+    
     try {
-      const file = DriveApp.getFileById(fileData.id);
+      const response = UrlFetchApp.fetch(CONFIG.DEFAULT_WEBHOOK, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        payload: JSON.stringify(payload)
+      });
       
-      // Remove from all current parents
-      const parents = file.getParents();
-      while (parents.hasNext()) {
-        const parent = parents.next();
-        parent.removeFile(file);
+      if (response.getResponseCode() === 200) {
+        console.log(`🐛 DEBUG: Test notification sent to your private channel`);
+      } else {
+        console.error(`🐛 DEBUG: Failed to send test notification:`, response.getResponseCode());
       }
-      
-      // Add to new folder
-      folder.addFile(file);
-      
-      console.log(`Moved file: ${fileData.title}`);
     } catch (error) {
-      console.error(`Failed to move file ${fileData.title}:`, error);
+      console.error(`🐛 DEBUG: Failed to send test notification:`, error);
     }
   });
 }
 
 /**
- * Send debug Slack notification to DEFAULT_WEBHOOK (your private channel)
+ * Send Slack notification for organized files to each of the meeting's recording targets
+ * Targets in skipTargetKeys were reached on an earlier attempt and are skipped
+ * Returns { ok, notifiedTargets } - ok is true when every target was reached (or has nowhere to send)
  */
-function sendDebugSlackNotification(configKey, config, files) {
-  console.log(`🐛 DEBUG: Would send notification to ${config.slackChannel} via ${config.slackWebhook}`);
-  console.log(`🐛 DEBUG: Instead sending test message to DEFAULT_WEBHOOK`);
+function sendConfiguredSlackNotification(configKey, config, files, announcement, skipTargetKeys = new Set()) {
+  const notifiedTargets = [...skipTargetKeys];
+  let ok = true;
+  
+  getNotificationTargets(config, 'recording').forEach(target => {
+    const channelName = target.name;
+    const targetKey = getSlackTargetKey(target);
+    
+    if (skipTargetKeys.has(targetKey)) {
+      console.log(`Already announced to ${channelName}, skipping`);
+      return;
+    }
+    if (!isSlackTargetConfigured(target)) {
+      console.log(`No Slack ${target.transport === 'bot' ? 'channel' : 'webhook'} configured for "${configKey}" (${channelName}), skipping notification`);
+      return;
+    }
+    
+    const message = formatFilesAvailableMessage(config, files, announcement, target);
+    const payload = {
+      text: message.text,
+      blocks: [
+        ...message.blocks,
+        ...formatGeminiSummaryBlocks(announcement && announcement.geminiSummary)
+      ]
+    };
+    
+    try {
+      const thread = findMeetingThread(configKey, config, target, announcement);
+      const result = postSlackMessage(target, payload, thread ? {
+        threadTs: thread.ts,
+        replyBroadcast: getThreadBroadcast(config)
+      } : {});
+      
+      if (result.ok) {
+        console.log(`Notification sent to ${channelName}${thread ? ` in thread ${thread.ts}` : ''}`);
+        notifiedTargets.push(targetKey);
+        return;
+      }
+      console.error(`Failed to send notification to ${channelName}:`, result.error);
+    } catch (error) {
+      console.error(`Failed to send notification to ${channelName}:`, error);
+    }
+    ok = false;
+  });
   
-  // Create the actual message that would be sent to the channel
-  const fileLinks = files.map(file => 
-    `• <${file.webViewLink}|${file.title}>`
-  ).join('\n');
+  return { ok, notifiedTargets };
+}
+
+
+/**
+ * Find the calendar notifier's "meeting is starting" message for this occurrence
+ * Threads are only looked up for the bot transport, and a lookup failure falls back to a top-level post
+ */
+function findMeetingThread(configKey, config, target, announcement) {
+  if (target.transport !== 'bot' || !announcement || !announcement.meetingTime) {
+    return null;
+  }
   
-  const actualMessage = `Today's community meeting recording, transcript and AI summary are now available on the <https://drive.google.com/drive/folders/1cN2YQiAZFJD_cb1ivlyukuNwecnin6lZ|shared llm-d google drive>:\n${fileLinks}`;
+  try {
+    const thread = findSlackThread(announcement.prefix, announcement.meetingTime, target.channel, CONFIG.OCCURRENCE_WINDOW_MINUTES || 60);
+    if (!thread) {
+      console.log(`No meeting thread found for "${configKey}" - posting to the channel`);
+    }
+    return thread;
+  } catch (error) {
+    console.error(`Failed to look up the meeting thread for "${configKey}":`, error);
+    return null;
+  }
+}
+
+/**
+ * Whether thread replies should also be broadcast to the channel
+ */
+function getThreadBroadcast(config) {
+  if (config.threadBroadcast !== undefined) {
+    return Boolean(config.threadBroadcast);
+  }
+  return Boolean(CONFIG.THREAD_BROADCAST);
+}
+
+/**
+ * Send error notification to monitoring channel
+ */
+function sendErrorNotification(errorMessage) {
+  if (!CONFIG.DEFAULT_WEBHOOK) {
+    console.log('No DEFAULT_WEBHOOK configured, skipping error notification');
+    return;
+  }
   
   const payload = {
-    text: `🐛 Debug mode test for ${config.slackChannel}`,
+    text: `🚨 Error in LLM-D Meeting File Organizer`,
     blocks: [
       {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `🐛 *Debug mode test* - This would be sent to ${config.slackChannel}:`
+          text: `🚨 *Error in LLM-D Meeting File Organizer*\n\`\`\`${errorMessage}\`\`\``
         }
       },
       {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: actualMessage
+          text: `*Time:* ${new Date().toISOString()}`
         }
       }
     ]
   };
   
   try {
-    const response = UrlFetchApp.fetch(CONFIG.DEFAULT_WEBHOOK, {
+    UrlFetchApp.fetch(CONFIG.DEFAULT_WEBHOOK, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
       payload: JSON.stringify(payload)
     });
-    
-    if (response.getResponseCode() === 200) {
-      console.log(`🐛 DEBUG: Test notification sent to your private channel`);
-    } else {
-      console.error(`🐛 DEBUG: Failed to send test notification:`, response.getResponseCode());
-    }
-  } catch (error) {
-    console.error(`🐛 DEBUG: Failed to send test notification:`, error);
+    console.log('Error notification sent to DEFAULT_WEBHOOK');
+  } catch (e) {
+    console.error('Failed to send error notification:', e);
   }
 }
 
+
+
+
+
 /**
- * Send Slack notification for organized files using new configuration
+ * Alert DEFAULT_WEBHOOK that an occurrence was released without all of its files
  */
-function sendConfiguredSlackNotification(configKey, config, files) {
-  const webhookUrl = config.slackWebhook;
-  const channelName = config.slackChannel;
-  
-  if (!webhookUrl) {
-    console.log(`No webhook configured for "${configKey}", skipping notification`);
+function sendIncompletePairAlert(groupKey, groupData) {
+  if (!CONFIG.DEFAULT_WEBHOOK) {
+    console.log('No DEFAULT_WEBHOOK configured, skipping incomplete pair alert');
     return;
   }
   
-  const fileLinks = files.map(file => 
-    `• <${file.webViewLink}|${file.title}>`
-  ).join('\n');
+  const { config, files, missingArtifacts, waitingHours } = groupData;
+  const fileList = files.map(file => `• ${file.title} (from ${file.sourceFolderLabel})`).join('\n');
   
   const payload = {
-    text: `Today's community meeting recording, transcript and AI summary are now available on the shared llm-d google drive:`,
+    text: `⚠️ Incomplete meeting files for ${groupKey}`,
     blocks: [
       {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `Today's community meeting recording, transcript and AI summary are now available on the <https://drive.google.com/drive/folders/1cN2YQiAZFJD_cb1ivlyukuNwecnin6lZ|shared llm-d google drive>:\n${fileLinks}`
+          text: `⚠️ *Incomplete meeting files for ${groupKey}*\n*Missing:* ${missingArtifacts.join(', ')}\n*Waited:* ${waitingHours}h (grace period ${getIncompleteGraceHours(config)}h)\n*Channel:* ${config.slackChannel}`
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Files processed without a pair:*\n${fileList}`
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Time:* ${new Date().toISOString()}`
         }
       }
     ]
   };
   
   try {
-    const response = UrlFetchApp.fetch(webhookUrl, {
+    UrlFetchApp.fetch(CONFIG.DEFAULT_WEBHOOK, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
       payload: JSON.stringify(payload)
     });
-    
-    if (response.getResponseCode() === 200) {
-      console.log(`Notification sent to ${channelName}`);
-    } else {
-      console.error(`Failed to send notification to ${channelName}:`, response.getResponseCode());
-    }
+    console.log(`Incomplete pair alert sent to DEFAULT_WEBHOOK for "${groupKey}"`);
   } catch (error) {
-    console.error(`Failed to send notification to ${channelName}:`, error);
+    console.error('Failed to send incomplete pair alert:', error);
   }
 }
 
-
 /**
- * Send error notification to monitoring channel
+ * Report a group move that failed part-way to DEFAULT_WEBHOOK
+ * Names the files that failed with their Drive errors and what happened to the rest of the group
  */
-function sendErrorNotification(errorMessage) {
+function sendMoveFailureReport(groupKey, groupData, targetFolder, moveOutcome, rollback) {
+  const describeFailure = ({ fileData, error }) =>
+    `• ${fileData.title} (from ${fileData.sourceFolderLabel})\n    \`${error.message || error.toString()}\``;
+  
+  const lines = [
+    `*Target folder:* ${targetFolder.getName()} (${targetFolder.getId()})`,
+    `*Channel:* ${groupData.config.slackChannel} - announcement held`,
+    '',
+    `*Failed to move (${moveOutcome.failed.length}):*`,
+    ...moveOutcome.failed.map(describeFailure)
+  ];
+  
+  if (rollback.rolledBack.length > 0) {
+    lines.push('', `*Moved back to their source folder (${rollback.rolledBack.length}):*`);
+    rollback.rolledBack.forEach(fileData => lines.push(`• ${fileData.title}`));
+  }
+  
+  if (rollback.held.length > 0) {
+    lines.push('', `*Could not be moved back - held in the target folder (${rollback.held.length}):*`);
+    rollback.held.forEach(failure => lines.push(describeFailure(failure)));
+  }
+  
+  lines.push('', 'The whole occurrence will be retried on the next run.');
+  
+  console.error(`Move failed for "${groupKey}":\n${lines.join('\n')}`);
+  
   if (!CONFIG.DEFAULT_WEBHOOK) {
-    console.log('No DEFAULT_WEBHOOK configured, skipping error notification');
+    console.log('No DEFAULT_WEBHOOK configured, skipping move failure report');
     return;
   }
   
   const payload = {
-    text: `🚨 Error in LLM-D Meeting File Organizer`,
+    text: `🚨 Failed to move meeting files for ${groupKey}`,
     blocks: [
       {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `🚨 *Error in LLM-D Meeting File Organizer*\n\`\`\`${errorMessage}\`\`\``
+          text: `🚨 *Failed to move meeting files for ${groupKey}*`
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: lines.join('\n')
         }
       },
       {
@@ -390,16 +1683,12 @@ function sendErrorNotification(errorMessage) {
       },
       payload: JSON.stringify(payload)
     });
-    console.log('Error notification sent to DEFAULT_WEBHOOK');
-  } catch (e) {
-    console.error('Failed to send error notification:', e);
+    console.log(`Move failure report sent to DEFAULT_WEBHOOK for "${groupKey}"`);
+  } catch (error) {
+    console.error('Failed to send move failure report:', error);
   }
 }
 
-
-
-
-
 /**
  * Setup function - run this once to create the time-based trigger
  * This replaces Firebase Cloud Scheduler
@@ -449,6 +1738,47 @@ function testFileOrganization() {
   console.log('Manual test completed');
 }
 
+/**
+ * Reset the scan checkpoint so the next run searches the whole source folder
+ * Run this after changing MEETING_CONFIGS or the source folders
+ */
+function resetScanCheckpoint() {
+  const properties = PropertiesService.getScriptProperties();
+  properties.deleteProperty(SCAN_CHECKPOINT_PROPERTY);
+  properties.deleteProperty(PENDING_FILES_PROPERTY);
+  console.log('Scan checkpoint reset - the next run will search the whole of every source folder');
+}
+
+/**
+ * List the processing ledger grouped by occurrence (for debugging)
+ */
+function listLedgerRecords() {
+  const ledger = loadLedger();
+  const occurrences = {};
+  
+  for (const [fileId, record] of Object.entries(ledger)) {
+    if (!occurrences[record.occurrence]) {
+      occurrences[record.occurrence] = { record, fileIds: [] };
+    }
+    occurrences[record.occurrence].fileIds.push(fileId);
+  }
+  
+  console.log(`Ledger has ${Object.keys(ledger).length} file records in ${Object.keys(occurrences).length} occurrences:`);
+  for (const [groupKey, { record, fileIds }] of Object.entries(occurrences)) {
+    let status = 'moved, not announced';
+    if (!record.needsNotification) {
+      status = 'moved (no announcement needed)';
+    } else if (record.notifiedAt) {
+      status = `announced ${record.notifiedAt}`;
+    } else if (record.notifyAbandonedAt) {
+      status = `announcement abandoned after ${record.notifyAttempts} attempts`;
+    } else if (record.notifyAttempts) {
+      status = `announcement failed ${record.notifyAttempts} time(s), will retry`;
+    }
+    console.log(`- "${groupKey}": ${fileIds.length} files, ${status}`);
+  }
+}
+
 /**
  * Function to list current project triggers
  */
@@ -0,0 +1,174 @@
+/**
+ * LLM-D Meeting Matcher
+ *
+ * Shared meeting title matching used by both the file organizer and the calendar notifier,
+ * so a meeting matches the same configuration in both scripts.
+ *
+ * Add this file to both Apps Script projects, next to config.js.
+ *
+ * Matching rules (per entry in CONFIG.MEETING_CONFIGS):
+ * - The config key is an exact prefix unless match.prefixes is set
+ * - match.prefixes: titles starting with any of these strings
+ * - match.contains: titles containing any of these strings
+ * - match.regexes: RegExp objects or pattern strings
+ * - match.exclude: strings or RegExps that rule a title out (checked after a rule matches)
+ * - match.priority: higher wins when several configs match (default 0)
+ * - match.caseSensitive: disable case/whitespace normalization (default false)
+ *
+ * When several configs match with the same priority, the one with the longest
+ * matching pattern wins, then the one listed first.
+ */
+
+/**
+ * Normalize a title for matching: lowercase and collapse runs of whitespace
+ */
+function normalizeMeetingTitle(title) {
+  return String(title || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build the matching rules for one meeting config
+ */
+function getMeetingMatchRules(prefix, config) {
+  const match = config.match || {};
+  const caseSensitive = Boolean(match.caseSensitive);
+  const normalize = text => caseSensitive ? String(text) : normalizeMeetingTitle(text);
+  const toRegExp = pattern => pattern instanceof RegExp ? pattern : new RegExp(pattern, caseSensitive ? '' : 'i');
+  
+  return {
+    normalize,
+    prefixes: (match.prefixes || [prefix]).map(normalize),
+    contains: (match.contains || []).map(normalize),
+    regexes: (match.regexes || []).map(toRegExp),
+    exclude: (match.exclude || []).map(pattern => typeof pattern === 'string' ? normalize(pattern) : toRegExp(pattern)),
+    priority: match.priority || 0
+  };
+}
+
+/**
+ * Evaluate a title against one meeting config
+ * Returns { prefix, config, matched, matchedBy, excludedBy, priority, specificity }
+ */
+function evaluateMeetingMatch(title, prefix, config) {
+  const rules = getMeetingMatchRules(prefix, config);
+  const normalizedTitle = rules.normalize(title);
+  const result = {
+    prefix,
+    config,
+    matched: false,
+    matchedBy: null,
+    excludedBy: null,
+    priority: rules.priority,
+    specificity: 0
+  };
+  
+  const candidates = [
+    ...rules.prefixes.filter(pattern => normalizedTitle.startsWith(pattern)).map(pattern => ({ rule: `prefix "${pattern}"`, length: pattern.length })),
+    ...rules.contains.filter(pattern => normalizedTitle.includes(pattern)).map(pattern => ({ rule: `contains "${pattern}"`, length: pattern.length })),
+    ...rules.regexes.map(regex => ({ regex, found: title.match(regex) }))
+      .filter(({ found }) => found)
+      .map(({ regex, found }) => ({ rule: `regex ${regex}`, length: found[0].length }))
+  ];
+  
+  if (candidates.length === 0) {
+    return result;
+  }
+  
+  const best = candidates.reduce((a, b) => (b.length > a.length ? b : a));
+  result.matchedBy = best.rule;
+  result.specificity = best.length;
+  
+  const exclusion = rules.exclude.find(pattern =>
+    pattern instanceof RegExp ? pattern.test(title) : normalizedTitle.includes(pattern)
+  );
+  if (exclusion) {
+    result.excludedBy = exclusion instanceof RegExp ? `regex ${exclusion}` : `"${exclusion}"`;
+    return result;
+  }
+  
+  result.matched = true;
+  return result;
+}
+
+/**
+ * Evaluate a title against every meeting config, best match first
+ */
+function evaluateAllMeetingMatches(title) {
+  return Object.entries(CONFIG.MEETING_CONFIGS)
+    .map(([prefix, config], order) => ({ ...evaluateMeetingMatch(title, prefix, config), order }))
+    .sort((a, b) =>
+      (b.matched - a.matched) ||
+      (b.priority - a.priority) ||
+      (b.specificity - a.specificity) ||
+      (a.order - b.order)
+    );
+}
+
+/**
+ * Find the meeting config for a title
+ * Returns { prefix, config, matchedBy } or null if no config matches
+ */
+function matchMeetingTitle(title) {
+  const [best] = evaluateAllMeetingMatches(title);
+  if (!best || !best.matched) {
+    return null;
+  }
+  return {
+    prefix: best.prefix,
+    config: best.config,
+    matchedBy: best.matchedBy
+  };
+}
+
+/**
+ * Explain how a title is matched against every meeting config (for debugging)
+ * Run from the Apps Script editor, e.g. explainMatch('[PUBLIC] llm-d sig-autoscaling')
+ */
+function explainMatch(title) {
+  const results = evaluateAllMeetingMatches(title);
+  const winner = results.find(result => result.matched) || null;
+  
+  console.log(`🔍 Explaining match for "${title}"`);
+  console.log(`   Normalized: "${normalizeMeetingTitle(title)}"`);
+  results.forEach(result => {
+    let status;
+    if (result === winner) {
+      status = `✅ WINNER via ${result.matchedBy}`;
+    } else if (result.matched) {
+      status = `☑️ also matches via ${result.matchedBy}`;
+    } else if (result.excludedBy) {
+      status = `🚫 matched ${result.matchedBy} but excluded by ${result.excludedBy}`;
+    } else {
+      status = '❌ no match';
+    }
+    console.log(`   [priority ${result.priority}] "${result.prefix}": ${status}`);
+  });
+  console.log(winner ? `🎯 Result: "${winner.prefix}"` : '🎯 Result: no matching config');
+  
+  return {
+    title,
+    match: winner ? { prefix: winner.prefix, matchedBy: winner.matchedBy } : null,
+    evaluations: results.map(({ prefix, matched, matchedBy, excludedBy, priority, specificity }) =>
+      ({ prefix, matched, matchedBy, excludedBy, priority, specificity })
+    )
+  };
+}
+
+/**
+ * Extract SIG name from a meeting title for cleaner messages and file names
+ */
+function extractSigName(title) {
+  // Extract SIG name from titles like "[PUBLIC] llm-d sig-autoscaling"
+  const sigMatch = title.match(/sig-([a-z-]+)/i);
+  if (sigMatch) {
+    return `sig-${sigMatch[1]}`;
+  }
+  
+  // Handle Community Meeting
+  if (title.includes('Community Meeting')) {
+    return 'Community Meeting';
+  }
+  
+  // Fallback to full title
+  return title;
+}
@@ -0,0 +1,246 @@
+/**
+ * LLM-D Message Templates
+ *
+ * Shared Slack message templates used by both the file organizer and the calendar notifier.
+ * Add this file to both Apps Script projects, next to config.js.
+ *
+ * Templates are looked up by name in the meeting's messageTemplates, then CONFIG.MESSAGE_TEMPLATES,
+ * then DEFAULT_MESSAGE_TEMPLATES below. A template is either:
+ * - a string, posted as one mrkdwn section block
+ * - an array of strings (one section each) and Block Kit objects (placeholders are filled in
+ *   every string value), e.g. [{ type: 'header', text: { type: 'plain_text', text: '{meetingName}' } }, '{files}']
+ *
+ * Placeholders are written {name}. A template line whose placeholders are all empty is dropped,
+ * so optional parts like ':video_camera: {meetLink}' disappear when there is no Meet link.
+ *
+ * Slack date tokens (<!date^...|fallback>) are replaced by their plain-text fallback in the
+ * message text, which Slack uses for notifications, email and clients that can't render blocks.
+ *
+ * Placeholders:
+ * - {sigName}, {meetingName}, {meetingTitle}, {prefix}: the meeting ("sig-autoscaling",
+ *   "sig-autoscaling meeting", the event or file title, the MEETING_CONFIGS key)
+ * - {channel}: the meeting's own Slack channel; {targetChannel}: the channel being posted to
+ * - {date}, {time}: the meeting start in the script time zone
+ * - {localTime}: the meeting start as a Slack date token, shown in each reader's own time zone
+ * - {timeZones}: the meeting start in every CONFIG.DISPLAY_TIME_ZONES zone, as plain text
+ * - {meetLink}, {meetUrl}: Google Meet link markup / raw URL (calendar notifier)
+ * - {documents}: bulleted links to documents attached to the event (calendar notifier)
+ * - {startsIn}: how long until the meeting starts, e.g. "24 hours" (calendar notifier reminders)
+ * - {previousDate}, {previousTime}, {previousLocalTime}: the old start of a rescheduled meeting (calendar notifier)
+ * - {files}: bulleted links to the organized files (file organizer)
+ * - {driveFolder}, {driveFolderUrl}: the dated subfolder the files were moved into (file organizer)
+ * - {sharedDrive}, {sharedDriveUrl}: the shared drive link from sharedDriveUrl / CONFIG.SHARED_DRIVE_URL
+ */
+
+const DEFAULT_MESSAGE_TEMPLATES = {
+  // Calendar notifier: meeting is starting, posted to the meeting's own channel
+  meetingStart: ':bell: The weekly public llm-d {meetingName} is starting. Join us!\n\n' +
+    ':video_camera: {meetLink}\n\n' +
+    ':memo: Meeting Notes:{documents}',
+  
+  // Calendar notifier: meeting is starting, cross-posted to another channel
+  meetingStartCrossPost: ':bell: The weekly public llm-d {meetingName} is starting.\n\n' +
+    'Join the {channel} channel for detailed discussion.\n\n' +
+    ':video_camera: {meetLink}\n\n' +
+    ':memo: Meeting Notes:{documents}',
+  
+  // Calendar notifier: pre-meeting reminder (see reminders in config.example.js)
+  meetingReminder: ':alarm_clock: The weekly public llm-d {meetingName} starts in {startsIn} ({localTime}).\n\n' +
+    ':memo: Add your agenda items to the meeting notes:{documents}\n\n' +
+    ':video_camera: {meetLink}',
+  
+  // Calendar notifier: call for agenda topics (see callForTopics in config.example.js)
+  callForTopics: ':spiral_note_pad: Call for topics: the llm-d {meetingName} meets {localTime}.\n' +
+    'Have something to discuss? Add it to the agenda:{documents}',
+  
+  // Calendar notifier: call for topics when the occurrence has no agenda doc attached
+  callForTopicsNoAgenda: ':warning: The llm-d {meetingName} meets {localTime}, but no agenda doc is attached to the calendar event yet. ' +
+    'Meeting leads: please attach one so people can add their topics.',
+  
+  // Calendar notifier: an upcoming occurrence was cancelled
+  meetingCancelled: ":no_entry_sign: This week's llm-d {meetingName} ({localTime}) is cancelled.",
+  
+  // Calendar notifier: an upcoming occurrence moved to another time or day
+  meetingRescheduled: ":calendar: This week's llm-d {meetingName} has moved from {previousLocalTime} to {localTime}.\n\n" +
+    ':video_camera: {meetLink}',
+  
+  // Calendar notifier: weekly schedule heading ({weekStart}, {weekEnd}, {meetingCount})
+  weeklySchedule: ':spiral_calendar_pad: *llm-d meetings this week* ({weekStart} - {weekEnd})',
+  
+  // Calendar notifier: one day of the weekly schedule ({day}, {meetings})
+  weeklyScheduleDay: '*{day}*\n{meetings}',
+  
+  // Calendar notifier: weekly schedule with nothing scheduled
+  weeklyScheduleEmpty: 'No llm-d meetings are scheduled this week.',
+  
+  // File organizer: recording, transcript and Gemini notes were organized
+  filesAvailable: "Today's llm-d {meetingName} recording, transcript and AI summary are now available on the {sharedDrive}:\n" +
+    '{files}\n' +
+    ':file_folder: {driveFolder}',
+  
+  // File organizer: released without the Notes by Gemini
+  filesAvailableNoNotes: "Today's llm-d {meetingName} recording is now available on the {sharedDrive} (AI summary notes are unavailable for this meeting):\n" +
+    '{files}\n' +
+    ':file_folder: {driveFolder}',
+  
+  // File organizer: released without the Recording
+  filesAvailableNoRecording: "Today's llm-d {meetingName} AI summary is now available on the {sharedDrive} (the recording is unavailable for this meeting):\n" +
+    '{files}\n' +
+    ':file_folder: {driveFolder}'
+};
+
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+const SLACK_DATE_TOKEN_PATTERN = /<!date\^[^|>]*\|([^>]*)>/g;
+
+/**
+ * Get a template by name, honoring per-meeting and global overrides
+ */
+function getMessageTemplate(name, config) {
+  const meetingTemplates = (config && config.messageTemplates) || {};
+  const globalTemplates = CONFIG.MESSAGE_TEMPLATES || {};
+  
+  if (meetingTemplates[name] !== undefined) {
+    return meetingTemplates[name];
+  }
+  if (globalTemplates[name] !== undefined) {
+    return globalTemplates[name];
+  }
+  if (DEFAULT_MESSAGE_TEMPLATES[name] !== undefined) {
+    return DEFAULT_MESSAGE_TEMPLATES[name];
+  }
+  throw new Error(`Unknown message template "${name}"`);
+}
+
+/**
+ * Build the meeting placeholders shared by every template
+ */
+function getMeetingTemplateValues(prefix, config, meetingTitle, meetingTime) {
+  const sigName = extractSigName(meetingTitle || prefix);
+  const timeZone = Session.getScriptTimeZone();
+  
+  return {
+    sigName,
+    meetingName: sigName.startsWith('sig-') ? `${sigName} meeting` : sigName,
+    meetingTitle: meetingTitle || prefix,
+    prefix,
+    channel: (config && config.slackChannel) || '',
+    date: meetingTime ? Utilities.formatDate(meetingTime, timeZone, 'yyyy-MM-dd') : '',
+    time: meetingTime ? Utilities.formatDate(meetingTime, timeZone, 'HH:mm') : '',
+    localTime: meetingTime ? formatSlackDate(meetingTime) : '',
+    timeZones: meetingTime ? formatTimeInZones(meetingTime, true) : '',
+    sharedDriveUrl: (config && config.sharedDriveUrl) || CONFIG.SHARED_DRIVE_URL || '',
+    sharedDrive: formatSlackLink((config && config.sharedDriveUrl) || CONFIG.SHARED_DRIVE_URL, CONFIG.SHARED_DRIVE_NAME || 'shared llm-d google drive')
+  };
+}
+
+/**
+ * Format a time in every CONFIG.DISPLAY_TIME_ZONES zone, e.g. "09:00 PDT / 16:00 UTC / 21:30 IST"
+ * Zones where the time falls on another day than the first zone get the weekday added;
+ * withDate prefixes the date in the first zone
+ */
+function formatTimeInZones(date, withDate) {
+  const zones = (CONFIG.DISPLAY_TIME_ZONES || []).length > 0 ? CONFIG.DISPLAY_TIME_ZONES : [Session.getScriptTimeZone()];
+  const firstDay = Utilities.formatDate(date, zones[0], 'yyyy-MM-dd');
+  
+  const times = zones.map(zone => {
+    const time = Utilities.formatDate(date, zone, 'HH:mm z');
+    return Utilities.formatDate(date, zone, 'yyyy-MM-dd') === firstDay ? time : `${time} (${Utilities.formatDate(date, zone, 'EEE')})`;
+  }).join(' / ');
+  
+  return withDate ? `${Utilities.formatDate(date, zones[0], 'EEE, MMM d')}, ${times}` : times;
+}
+
+/**
+ * Format a time as a Slack date token, which Slack shows in each reader's own time zone
+ * format uses Slack's date tokens; the fallback lists the DISPLAY_TIME_ZONES times
+ */
+function formatSlackDate(date, format = '{date_short_pretty} at {time}') {
+  const seconds = Math.floor(new Date(date).getTime() / 1000);
+  return `<!date^${seconds}^${format}|${formatTimeInZones(date, format.includes('{date'))}>`;
+}
+
+/**
+ * Replace Slack date tokens with their plain-text fallback
+ */
+function stripSlackDateTokens(text) {
+  return text.replace(SLACK_DATE_TOKEN_PATTERN, '$1');
+}
+
+/**
+ * Format a Slack link, or just the label when there is no URL
+ */
+function formatSlackLink(url, label) {
+  return url ? `<${url}|${label}>` : label;
+}
+
+/**
+ * Fill in the placeholders of one template string
+ * Lines whose placeholders all render empty are dropped
+ */
+function fillTemplateText(template, values) {
+  const valueOf = name => (values[name] === undefined || values[name] === null ? '' : String(values[name]));
+  
+  const lines = template.split('\n').filter(line => {
+    const names = [...line.matchAll(TEMPLATE_PLACEHOLDER_PATTERN)].map(match => match[1]);
+    return names.length === 0 || names.some(name => !(name in values) || valueOf(name) !== '');
+  });
+  
+  return lines.join('\n')
+    .replace(TEMPLATE_PLACEHOLDER_PATTERN, (match, name) => (name in values ? valueOf(name) : match))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Fill in placeholders in every string of a Block Kit object
+ */
+function fillTemplateBlock(block, values) {
+  if (typeof block === 'string') {
+    return fillTemplateText(block, values);
+  }
+  if (Array.isArray(block)) {
+    return block.map(item => fillTemplateBlock(item, values));
+  }
+  if (block && typeof block === 'object') {
+    const filled = {};
+    for (const [key, value] of Object.entries(block)) {
+      filled[key] = fillTemplateBlock(value, values);
+    }
+    return filled;
+  }
+  return block;
+}
+
+/**
+ * Render a named template into a Slack { text, blocks } message
+ */
+function renderMessageTemplate(name, config, values) {
+  const template = getMessageTemplate(name, config);
+  const parts = Array.isArray(template) ? template : [template];
+  const texts = [];
+  
+  const blocks = parts
+    .map(part => {
+      if (typeof part === 'string') {
+        const text = fillTemplateText(part, values);
+        if (!text) {
+          return null;
+        }
+        texts.push(text);
+        return {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text
+          }
+        };
+      }
+      return fillTemplateBlock(part, values);
+    })
+    .filter(Boolean);
+  
+  return {
+    text: stripSlackDateTokens(texts.join('\n\n')) || values.meetingTitle || name,
+    blocks
+  };
+}
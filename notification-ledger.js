@@ -0,0 +1,462 @@
+/**
+ * LLM-D Notification Ledger
+ *
+ * Remembers which Slack notifications the calendar notifier has sent, so each start notice,
+ * reminder, cancellation and reschedule goes out once. Add this file to the calendar notifier
+ * project, next to config.js.
+ *
+ * API:
+ * - NotificationLedger.wasSent(key): the record stored for a notification key, or null
+ * - NotificationLedger.markSent(key, record): store { meetingTitle, meetingStart, notifiedAt, ... }
+ * - NotificationLedger.prune(): drop records whose meeting started more than
+ *   CONFIG.NOTIFICATION_RETENTION_DAYS ago
+ * plus forget(key), list(), clear() and getStats() for the maintenance functions.
+ *
+ * Backends:
+ * - Script properties (default): records are packed into a few JSON shards (notification_ledger_0,
+ *   notification_ledger_1, ...) keyed by a short hash of the notification key, so hundreds of
+ *   records fit well inside the 9KB-per-value and 500KB-per-project quotas
+ * - Google Sheet: set CONFIG.NOTIFICATION_LEDGER_SHEET_ID to keep one readable row per notification,
+ *   e.g. for a longer history
+ *
+ * Records are only removed once they expire; nothing is deleted early to make room, so a record
+ * always outlives the notification it guards. Records from older versions (one notified_* property
+ * per notification) are moved into the ledger, under the script lock, the first time it loads.
+ */
+
+const NOTIFICATION_LEDGER_PROPERTY_PREFIX = 'notification_ledger_';
+const NOTIFICATION_LEDGER_SHARD_SIZE = 8000;
+const NOTIFICATION_LEDGER_SHEET_NAME = 'notifications';
+const NOTIFICATION_LEDGER_HEADER = ['key', 'meetingTitle', 'meetingStart', 'notifiedAt', 'expiresAt', 'details'];
+const LEGACY_NOTIFICATION_PROPERTY_PREFIX = 'notified_';
+
+// The ledger is read once per execution; writes reload it under the script lock
+let notificationLedgerState = null;
+
+const NotificationLedger = {
+  /**
+   * Get the record of a sent notification, or null if it hasn't been sent
+   */
+  wasSent(key) {
+    const entry = loadNotificationLedger().entries[hashNotificationKey(key)];
+    return entry && entry.expiresAt > Date.now() ? entry.record : null;
+  },
+  
+  /**
+   * Record that a notification was sent
+   */
+  markSent(key, record) {
+    withNotificationLedgerLock(state => {
+      putNotificationLedgerEntries(state, [{ key, record }]);
+    });
+  },
+  
+  /**
+   * Remove the record of a notification, e.g. when it moves to a rescheduled start
+   */
+  forget(key) {
+    withNotificationLedgerLock(state => {
+      removeNotificationLedgerEntries(state, [hashNotificationKey(key)]);
+    });
+  },
+  
+  /**
+   * Remove expired records; returns how many were removed
+   */
+  prune() {
+    let prunedCount = 0;
+    withNotificationLedgerLock(state => {
+      const now = Date.now();
+      const expiredIds = Object.keys(state.entries).filter(id => state.entries[id].expiresAt <= now);
+      removeNotificationLedgerEntries(state, expiredIds);
+      prunedCount = expiredIds.length;
+    });
+    return prunedCount;
+  },
+  
+  /**
+   * List the stored records, oldest notification first
+   * Each item is { key, record, expiresAt } - key is only known with the Sheet backend
+   */
+  list() {
+    return Object.values(loadNotificationLedger().entries)
+      .map(entry => ({ key: entry.key || null, record: entry.record, expiresAt: new Date(entry.expiresAt) }))
+      .sort((a, b) => new Date(a.record.notifiedAt) - new Date(b.record.notifiedAt));
+  },
+  
+  /**
+   * Remove every record (for testing)
+   */
+  clear() {
+    let clearedCount = 0;
+    withNotificationLedgerLock(state => {
+      clearedCount = Object.keys(state.entries).length;
+      removeNotificationLedgerEntries(state, Object.keys(state.entries));
+    });
+    return clearedCount;
+  },
+  
+  /**
+   * Describe the ledger storage: { backend, records, shards, propertyBytes, propertyQuotaBytes }
+   * propertyBytes counts every script property, since they share one quota
+   */
+  getStats() {
+    const state = loadNotificationLedger();
+    const allProperties = PropertiesService.getScriptProperties().getProperties();
+    const propertyBytes = Object.entries(allProperties).reduce((total, [key, value]) => total + key.length + value.length, 0);
+    
+    return {
+      backend: state.backend,
+      records: Object.keys(state.entries).length,
+      shards: state.backend === 'properties' ? Object.keys(state.shards).length : 0,
+      propertyBytes,
+      propertyQuotaBytes: 500 * 1024
+    };
+  }
+};
+
+/**
+ * Load the ledger from its backend
+ * Legacy notified_* properties are moved into it under the script lock, like any other write
+ */
+function loadNotificationLedger() {
+  if (!notificationLedgerState) {
+    if (getLegacyNotificationKeys().length > 0) {
+      withNotificationLedgerLock(() => {});
+    } else {
+      notificationLedgerState = readNotificationLedgerBackend();
+    }
+  }
+  return notificationLedgerState;
+}
+
+/**
+ * Read the ledger from the configured backend
+ */
+function readNotificationLedgerBackend() {
+  return CONFIG.NOTIFICATION_LEDGER_SHEET_ID ? loadSheetNotificationLedger() : loadPropertiesNotificationLedger();
+}
+
+/**
+ * Run a ledger change under the script lock, on a freshly loaded ledger, so overlapping
+ * trigger runs don't overwrite each other's records
+ */
+function withNotificationLedgerLock(change) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30 * 1000);
+  try {
+    const state = readNotificationLedgerBackend();
+    migrateLegacyNotificationRecords(state);
+    notificationLedgerState = state;
+    change(state);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Hash a notification key into a short ledger ID (22 characters)
+ */
+function hashNotificationKey(key) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, key, Utilities.Charset.UTF_8);
+  return Utilities.base64EncodeWebSafe(digest).replace(/=+$/, '');
+}
+
+/**
+ * Get when a record expires: NOTIFICATION_RETENTION_DAYS after the meeting start
+ */
+function getNotificationRecordExpiry(record) {
+  const retentionDays = CONFIG.NOTIFICATION_RETENTION_DAYS || 7;
+  const start = new Date(record.meetingStart || record.notifiedAt).getTime();
+  return Math.max(start, Date.now()) + retentionDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Store records, replacing any with the same key
+ */
+function putNotificationLedgerEntries(state, items) {
+  if (items.length === 0) {
+    return;
+  }
+  
+  const entries = items.map(({ key, record }) => ({
+    id: hashNotificationKey(key),
+    key,
+    record,
+    expiresAt: getNotificationRecordExpiry(record)
+  }));
+  
+  if (state.backend === 'sheet') {
+    putSheetNotificationLedgerEntries(state, entries);
+  } else {
+    putPropertiesNotificationLedgerEntries(state, entries);
+  }
+}
+
+/**
+ * Remove records by ledger ID
+ */
+function removeNotificationLedgerEntries(state, ids) {
+  const presentIds = ids.filter(id => state.entries[id]);
+  if (presentIds.length === 0) {
+    return;
+  }
+  
+  if (state.backend === 'sheet') {
+    removeSheetNotificationLedgerEntries(state, presentIds);
+  } else {
+    removePropertiesNotificationLedgerEntries(state, presentIds);
+  }
+}
+
+/**
+ * Get the notified_* property keys written by older versions
+ */
+function getLegacyNotificationKeys() {
+  return PropertiesService.getScriptProperties().getKeys()
+    .filter(key => key.startsWith(LEGACY_NOTIFICATION_PROPERTY_PREFIX));
+}
+
+/**
+ * Move notified_* properties written by older versions into the ledger
+ * Only call this while holding the script lock (see withNotificationLedgerLock)
+ */
+function migrateLegacyNotificationRecords(state) {
+  const properties = PropertiesService.getScriptProperties();
+  const legacyKeys = getLegacyNotificationKeys();
+  if (legacyKeys.length === 0) {
+    return;
+  }
+  
+  const items = [];
+  legacyKeys.forEach(key => {
+    try {
+      items.push({ key, record: JSON.parse(properties.getProperty(key)) });
+    } catch (parseError) {
+      console.log(`🧹 Dropping corrupted notification record ${key}`);
+    }
+  });
+  
+  putNotificationLedgerEntries(state, items);
+  legacyKeys.forEach(key => properties.deleteProperty(key));
+  console.log(`📦 Moved ${items.length} notification record(s) into the notification ledger`);
+}
+
+// Script properties backend
+
+/**
+ * Pack a record as [notifiedAt, expiresAt, meetingTitle, meetingStart, details?] with epoch seconds
+ */
+function packNotificationRecord(record, expiresAt) {
+  const { meetingTitle, meetingStart, notifiedAt, ...details } = record;
+  const toSeconds = date => Math.round(new Date(date).getTime() / 1000);
+  const packed = [toSeconds(notifiedAt), toSeconds(expiresAt), meetingTitle || '', toSeconds(meetingStart || notifiedAt)];
+  if (Object.keys(details).length > 0) {
+    packed.push(details);
+  }
+  return packed;
+}
+
+/**
+ * Unpack a record written by packNotificationRecord
+ */
+function unpackNotificationRecord(packed) {
+  const [notifiedAt, expiresAt, meetingTitle, meetingStart, details] = packed;
+  return {
+    record: {
+      meetingTitle,
+      meetingStart: new Date(meetingStart * 1000).toISOString(),
+      notifiedAt: new Date(notifiedAt * 1000).toISOString(),
+      ...(details || {})
+    },
+    expiresAt: expiresAt * 1000
+  };
+}
+
+/**
+ * Read every ledger shard from the script properties
+ */
+function loadPropertiesNotificationLedger() {
+  const state = { backend: 'properties', entries: {}, shards: {} };
+  const allProperties = PropertiesService.getScriptProperties().getProperties();
+  
+  for (const [propertyKey, value] of Object.entries(allProperties)) {
+    if (!propertyKey.startsWith(NOTIFICATION_LEDGER_PROPERTY_PREFIX)) {
+      continue;
+    }
+    try {
+      state.shards[propertyKey] = JSON.parse(value);
+    } catch (parseError) {
+      console.error(`❌ Corrupted notification ledger shard ${propertyKey} - ignoring it`);
+      continue;
+    }
+    for (const [id, packed] of Object.entries(state.shards[propertyKey])) {
+      state.entries[id] = { ...unpackNotificationRecord(packed), shardKey: propertyKey };
+    }
+  }
+  
+  return state;
+}
+
+/**
+ * Add or replace records, each in the shard that holds it or the first one with room
+ */
+function putPropertiesNotificationLedgerEntries(state, entries) {
+  const changedShards = new Set();
+  
+  entries.forEach(({ id, record, expiresAt }) => {
+    const packed = packNotificationRecord(record, expiresAt);
+    const previous = state.entries[id];
+    if (previous) {
+      delete state.shards[previous.shardKey][id];
+      changedShards.add(previous.shardKey);
+    }
+    
+    const entrySize = id.length + JSON.stringify(packed).length + 4;
+    let shardKey = Object.keys(state.shards).find(key => JSON.stringify(state.shards[key]).length + entrySize <= NOTIFICATION_LEDGER_SHARD_SIZE);
+    if (!shardKey) {
+      let index = 0;
+      while (state.shards[NOTIFICATION_LEDGER_PROPERTY_PREFIX + index]) {
+        index++;
+      }
+      shardKey = NOTIFICATION_LEDGER_PROPERTY_PREFIX + index;
+      state.shards[shardKey] = {};
+    }
+    
+    state.shards[shardKey][id] = packed;
+    state.entries[id] = { record: unpackNotificationRecord(packed).record, expiresAt, shardKey };
+    changedShards.add(shardKey);
+  });
+  
+  savePropertiesNotificationLedgerShards(state, changedShards);
+}
+
+/**
+ * Remove records from their shards
+ */
+function removePropertiesNotificationLedgerEntries(state, ids) {
+  const changedShards = new Set();
+  ids.forEach(id => {
+    const shardKey = state.entries[id].shardKey;
+    delete state.shards[shardKey][id];
+    delete state.entries[id];
+    changedShards.add(shardKey);
+  });
+  savePropertiesNotificationLedgerShards(state, changedShards);
+}
+
+/**
+ * Write changed shards back, deleting the ones that became empty
+ */
+function savePropertiesNotificationLedgerShards(state, shardKeys) {
+  const properties = PropertiesService.getScriptProperties();
+  const updates = {};
+  
+  shardKeys.forEach(shardKey => {
+    if (Object.keys(state.shards[shardKey]).length === 0) {
+      properties.deleteProperty(shardKey);
+      delete state.shards[shardKey];
+    } else {
+      updates[shardKey] = JSON.stringify(state.shards[shardKey]);
+    }
+  });
+  
+  if (Object.keys(updates).length > 0) {
+    properties.setProperties(updates);
+  }
+}
+
+// Google Sheet backend
+
+/**
+ * Open the ledger sheet, creating its header row on first use
+ */
+function getNotificationLedgerSheet() {
+  const spreadsheet = SpreadsheetApp.openById(CONFIG.NOTIFICATION_LEDGER_SHEET_ID);
+  let sheet = spreadsheet.getSheetByName(NOTIFICATION_LEDGER_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(NOTIFICATION_LEDGER_SHEET_NAME);
+  }
+  if (sheet.getLastRow() === 0) {
+    sheet.appendRow(NOTIFICATION_LEDGER_HEADER);
+  }
+  return sheet;
+}
+
+/**
+ * Read every ledger row from the sheet
+ */
+function loadSheetNotificationLedger() {
+  const sheet = getNotificationLedgerSheet();
+  const state = { backend: 'sheet', entries: {}, sheet };
+  if (sheet.getLastRow() < 2) {
+    return state;
+  }
+  
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, NOTIFICATION_LEDGER_HEADER.length).getValues().forEach((row, index) => {
+    const [key, meetingTitle, meetingStart, notifiedAt, expiresAt, details] = row;
+    if (!key) {
+      return;
+    }
+    
+    let parsedDetails = {};
+    try {
+      parsedDetails = details ? JSON.parse(details) : {};
+    } catch (parseError) {
+      console.error(`❌ Corrupted details in notification ledger row ${index + 2} - ignoring them`);
+    }
+    
+    state.entries[hashNotificationKey(String(key))] = {
+      key: String(key),
+      record: {
+        meetingTitle,
+        meetingStart: new Date(meetingStart).toISOString(),
+        notifiedAt: new Date(notifiedAt).toISOString(),
+        ...parsedDetails
+      },
+      expiresAt: new Date(expiresAt).getTime(),
+      row: index + 2
+    };
+  });
+  
+  return state;
+}
+
+/**
+ * Add or replace ledger rows
+ */
+function putSheetNotificationLedgerEntries(state, entries) {
+  entries.forEach(({ id, key, record, expiresAt }) => {
+    const { meetingTitle, meetingStart, notifiedAt, ...details } = record;
+    const row = [
+      key,
+      meetingTitle || '',
+      new Date(meetingStart || notifiedAt).toISOString(),
+      new Date(notifiedAt).toISOString(),
+      new Date(expiresAt).toISOString(),
+      Object.keys(details).length > 0 ? JSON.stringify(details) : ''
+    ];
+    
+    const previous = state.entries[id];
+    if (previous) {
+      state.sheet.getRange(previous.row, 1, 1, row.length).setValues([row]);
+      state.entries[id] = { key, record, expiresAt, row: previous.row };
+    } else {
+      state.sheet.appendRow(row);
+      state.entries[id] = { key, record, expiresAt, row: state.sheet.getLastRow() };
+    }
+  });
+}
+
+/**
+ * Delete ledger rows, bottom up so row numbers stay valid
+ */
+function removeSheetNotificationLedgerEntries(state, ids) {
+  ids
+    .map(id => state.entries[id].row)
+    .sort((a, b) => b - a)
+    .forEach(row => state.sheet.deleteRow(row));
+  
+  // Row numbers shifted - read the sheet again on next use
+  notificationLedgerState = null;
+}
@@ -0,0 +1,331 @@
+/**
+ * LLM-D Slack Client
+ *
+ * Shared Slack posting used by both the file organizer and the calendar notifier.
+ * Add this file to both Apps Script projects, next to config.js.
+ *
+ * Transports (chosen per meeting with slackTransport, default CONFIG.DEFAULT_SLACK_TRANSPORT):
+ * - 'webhook': POST to the meeting's incoming webhook (slackWebhook)
+ * - 'bot': chat.postMessage with the app's bot token, posting to slackChannelId
+ *   (or slackChannel by name). Returns the message ts so later messages can refer to it.
+ *
+ * The bot token is read from the SLACK_BOT_TOKEN script property, falling back to
+ * CONFIG.SLACK_BOT_TOKEN. The app needs the chat:write scope, plus chat:write.public
+ * to post in channels it hasn't been invited to (see slack-app-manifest.yaml).
+ *
+ * Notification targets: each meeting lists where each kind of post goes in notificationTargets
+ * (default CONFIG.DEFAULT_NOTIFICATION_TARGETS, else only the meeting's own channel, with a warning
+ * since the #community cross-post then needs DEFAULT_NOTIFICATION_TARGETS in config.js). Entries are
+ * { self: true } for the meeting's own channel, { meetingConfig: '<MEETING_CONFIGS key>' } for another
+ * meeting's channel, or their own slackWebhook / slackChannel / slackChannelId / slackTransport, plus:
+ * - events: which posts go there ('start', 'reminder', 'topics', 'cancellation', 'reschedule',
+ *   'recording', 'schedule'); all of them when omitted
+ * - templates: message template per post, e.g. { start: 'meetingStartCrossPost' } (see message-templates.js)
+ * Targets that resolve to a channel already listed are skipped, so the first entry for a channel wins.
+ *
+ * Meeting threads: the two scripts run as separate projects, so the ts of each
+ * "meeting is starting" message is kept in a Google Sheet (CONFIG.SLACK_THREADS_SHEET_ID)
+ * that the organizer reads to reply under it. Threads need the bot transport.
+ */
+
+const SLACK_API_BASE_URL = 'https://slack.com/api/';
+const SLACK_BOT_TOKEN_PROPERTY = 'SLACK_BOT_TOKEN';
+const SLACK_THREADS_SHEET_NAME = 'threads';
+const SLACK_THREADS_HEADER = ['prefix', 'meetingStart', 'channel', 'channelName', 'ts', 'recordedAt'];
+const SLACK_THREAD_RETENTION_DAYS = 30;
+
+/**
+ * Get the Slack bot token from script properties or config
+ */
+function getSlackBotToken() {
+  const token = PropertiesService.getScriptProperties().getProperty(SLACK_BOT_TOKEN_PROPERTY);
+  return token || CONFIG.SLACK_BOT_TOKEN || null;
+}
+
+/**
+ * Get the Slack transport for a meeting configuration ('webhook' or 'bot')
+ */
+function getSlackTransport(config) {
+  return (config && config.slackTransport) || CONFIG.DEFAULT_SLACK_TRANSPORT || 'webhook';
+}
+
+/**
+ * Build the Slack target for a meeting configuration
+ * Returns { transport, webhook, channel, name }
+ */
+function getSlackTarget(config) {
+  return {
+    transport: getSlackTransport(config),
+    webhook: config.slackWebhook || null,
+    channel: config.slackChannelId || config.slackChannel || null,
+    name: config.slackChannel || config.slackChannelId || null
+  };
+}
+
+/**
+ * Identify the Slack destination of a target, for de-duplication and the ledger
+ */
+function getSlackTargetKey(target) {
+  return target.transport === 'bot' ? `bot:${target.channel}` : `webhook:${target.webhook}`;
+}
+
+// Whether this execution already warned about a missing CONFIG.DEFAULT_NOTIFICATION_TARGETS
+let missingDefaultTargetsWarned = false;
+
+/**
+ * Get the notification targets used when a meeting sets no notificationTargets
+ * Without CONFIG.DEFAULT_NOTIFICATION_TARGETS, meetings post only to their own channel
+ */
+function getDefaultNotificationTargets() {
+  if (CONFIG.DEFAULT_NOTIFICATION_TARGETS) {
+    return CONFIG.DEFAULT_NOTIFICATION_TARGETS;
+  }
+  
+  if (!missingDefaultTargetsWarned) {
+    console.warn('⚠️ CONFIG.DEFAULT_NOTIFICATION_TARGETS is not set - posting only to each meeting\'s own channel. Copy it from config.example.js to keep cross-posts such as #community');
+    missingDefaultTargetsWarned = true;
+  }
+  return [{ self: true }];
+}
+
+/**
+ * Resolve the targets a meeting posts a given event to
+ * Returns Slack targets with an extra templates map ({ event: templateName })
+ */
+function getNotificationTargets(config, event) {
+  const entries = config.notificationTargets || getDefaultNotificationTargets();
+  const targets = [];
+  const seenKeys = new Set();
+  const seenNames = new Set();
+  
+  entries.forEach(entry => {
+    if (entry.events && !entry.events.includes(event)) {
+      return;
+    }
+    
+    let source = entry;
+    if (entry.self) {
+      source = config;
+    } else if (entry.meetingConfig) {
+      source = CONFIG.MEETING_CONFIGS[entry.meetingConfig];
+      if (!source) {
+        console.warn(`⚠️ Notification target refers to unknown meeting config "${entry.meetingConfig}" - skipping`);
+        return;
+      }
+    }
+    
+    const target = { ...getSlackTarget(source), templates: entry.templates || {} };
+    const key = getSlackTargetKey(target);
+    if (seenKeys.has(key) || (target.name && seenNames.has(target.name))) {
+      return;
+    }
+    seenKeys.add(key);
+    if (target.name) {
+      seenNames.add(target.name);
+    }
+    targets.push(target);
+  });
+  
+  return targets;
+}
+
+/**
+ * Check whether a target has somewhere to post to
+ */
+function isSlackTargetConfigured(target) {
+  return target.transport === 'bot' ? Boolean(target.channel) : Boolean(target.webhook);
+}
+
+/**
+ * Call a Slack Web API method with the bot token
+ * Returns the parsed response; throws when Slack reports an error
+ */
+function slackApiCall(method, payload) {
+  const token = getSlackBotToken();
+  if (!token) {
+    throw new Error(`Cannot call Slack ${method}: no ${SLACK_BOT_TOKEN_PROPERTY} script property or CONFIG.SLACK_BOT_TOKEN`);
+  }
+  
+  const response = UrlFetchApp.fetch(SLACK_API_BASE_URL + method, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Authorization': `Bearer ${token}`
+    },
+    payload: JSON.stringify(payload),
+    muteHttpExceptions: true
+  });
+  
+  let data;
+  try {
+    data = JSON.parse(response.getContentText());
+  } catch (error) {
+    throw new Error(`Slack ${method} returned HTTP ${response.getResponseCode()}: ${response.getContentText()}`);
+  }
+  
+  if (!data.ok) {
+    throw new Error(`Slack ${method} failed: ${data.error || 'unknown error'}`);
+  }
+  return data;
+}
+
+/**
+ * Post a { text, blocks } message to a Slack target
+ * options.threadTs replies in a thread and options.replyBroadcast also shows the reply
+ * in the channel (bot transport only - webhooks always post top-level messages)
+ * Returns { ok, ts, channel, error } - ts and channel are only known for the bot transport
+ */
+function postSlackMessage(target, message, options = {}) {
+  if (target.transport === 'bot') {
+    const payload = {
+      channel: target.channel,
+      unfurl_links: false,
+      ...message
+    };
+    if (options.threadTs) {
+      payload.thread_ts = options.threadTs;
+      payload.reply_broadcast = Boolean(options.replyBroadcast);
+    }
+    
+    try {
+      const data = slackApiCall('chat.postMessage', payload);
+      return { ok: true, ts: data.ts, channel: data.channel, error: null };
+    } catch (error) {
+      return { ok: false, ts: null, channel: target.channel, error: error.message };
+    }
+  }
+  
+  const response = UrlFetchApp.fetch(target.webhook, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    payload: JSON.stringify(message),
+    muteHttpExceptions: true
+  });
+  
+  if (response.getResponseCode() === 200) {
+    return { ok: true, ts: null, channel: target.channel, error: null };
+  }
+  return {
+    ok: false,
+    ts: null,
+    channel: target.channel,
+    error: `HTTP ${response.getResponseCode()}: ${response.getContentText()}`
+  };
+}
+
+/**
+ * Replace the content of a message posted with the bot transport
+ */
+function updateSlackMessage(channel, ts, message) {
+  return slackApiCall('chat.update', {
+    channel: channel,
+    ts: ts,
+    ...message
+  });
+}
+
+/**
+ * Check the bot token with auth.test
+ * Run this after setting the SLACK_BOT_TOKEN script property
+ */
+function testSlackBotToken() {
+  try {
+    const data = slackApiCall('auth.test', {});
+    console.log(`✅ Slack bot token works: ${data.user} in ${data.team}`);
+    return true;
+  } catch (error) {
+    console.error('❌ Slack bot token check failed:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Open the meeting thread sheet, creating its header row on first use
+ * Returns null when CONFIG.SLACK_THREADS_SHEET_ID is not set
+ */
+function getSlackThreadsSheet() {
+  if (!CONFIG.SLACK_THREADS_SHEET_ID) {
+    return null;
+  }
+  
+  const spreadsheet = SpreadsheetApp.openById(CONFIG.SLACK_THREADS_SHEET_ID);
+  let sheet = spreadsheet.getSheetByName(SLACK_THREADS_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SLACK_THREADS_SHEET_NAME);
+  }
+  if (sheet.getLastRow() === 0) {
+    sheet.appendRow(SLACK_THREADS_HEADER);
+  }
+  return sheet;
+}
+
+/**
+ * Remember the Slack message that opened a meeting occurrence in a channel
+ */
+function recordSlackThread(prefix, meetingStart, channel, channelName, ts) {
+  const sheet = getSlackThreadsSheet();
+  if (!sheet || !ts) {
+    return;
+  }
+  
+  // The leading apostrophe keeps Sheets from turning the ts into a (rounded) number
+  sheet.appendRow([prefix, new Date(meetingStart).toISOString(), channel, channelName || '', `'${ts}`, new Date().toISOString()]);
+  console.log(`🧵 Recorded thread ${ts} in ${channelName || channel} for "${prefix}"`);
+}
+
+/**
+ * Find the thread for a meeting occurrence in a channel (matched by ID or name)
+ * Picks the recorded start closest to meetingTime within windowMinutes
+ * Returns { channel, ts } or null
+ */
+function findSlackThread(prefix, meetingTime, channel, windowMinutes) {
+  const sheet = getSlackThreadsSheet();
+  if (!sheet || !meetingTime || !channel || sheet.getLastRow() < 2) {
+    return null;
+  }
+  
+  const windowMillis = windowMinutes * 60 * 1000;
+  const time = new Date(meetingTime).getTime();
+  let best = null;
+  
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, SLACK_THREADS_HEADER.length).getValues().forEach(row => {
+    const [rowPrefix, rowStart, rowChannel, rowChannelName, rowTs] = row;
+    if (rowPrefix !== prefix || (rowChannel !== channel && rowChannelName !== channel)) {
+      return;
+    }
+    const distance = Math.abs(new Date(rowStart).getTime() - time);
+    if (distance <= windowMillis && (!best || distance < best.distance)) {
+      best = { channel: rowChannel, ts: String(rowTs), distance };
+    }
+  });
+  
+  return best ? { channel: best.channel, ts: best.ts } : null;
+}
+
+/**
+ * Delete thread rows for meetings older than SLACK_THREAD_RETENTION_DAYS
+ */
+function pruneSlackThreads() {
+  const sheet = getSlackThreadsSheet();
+  if (!sheet || sheet.getLastRow() < 2) {
+    return;
+  }
+  
+  const cutoff = Date.now() - SLACK_THREAD_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, SLACK_THREADS_HEADER.length).getValues();
+  let prunedCount = 0;
+  
+  // Delete from the bottom so row numbers stay valid
+  for (let index = rows.length - 1; index >= 0; index--) {
+    if (new Date(rows[index][1]).getTime() < cutoff) {
+      sheet.deleteRow(index + 2);
+      prunedCount++;
+    }
+  }
+  
+  if (prunedCount > 0) {
+    console.log(`🧵 Pruned ${prunedCount} meeting threads older than ${SLACK_THREAD_RETENTION_DAYS} days`);
+  }
+}